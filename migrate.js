@@ -0,0 +1,148 @@
+// ─── MIGRAÇÕES DO BANCO ───────────────────────────────────────────────────────
+// Arquivos numerados em migrations/: NNN_descricao.sql ou NNN_descricao.js
+// (exports.up = async client => { ... }). Cada migração roda uma vez, dentro de
+// uma transação, e fica registrada em schema_migrations com o checksum do arquivo.
+// Um advisory lock serializa instâncias que sobem juntas: a segunda espera a
+// primeira terminar e encontra tudo aplicado.
+//
+// Uso: node migrate.js          aplica as pendentes
+//      node migrate.js status   lista aplicadas / pendentes
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK = 4207310; // chave do pg_advisory_lock, fixa para todas as instâncias
+
+function listMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => {
+      const match = file.match(/^(\d+)_(.+)\.(sql|js)$/);
+      if (!match) return null;
+      const source = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: Number(match[1]), name: match[2], file,
+        checksum: crypto.createHash('sha256').update(source).digest('hex'),
+        source
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duas migrações com o número ${migrations[i].version}: ${migrations[i - 1].file} e ${migrations[i].file}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version     INTEGER   PRIMARY KEY,
+      name        TEXT      NOT NULL,
+      checksum    TEXT      NOT NULL,
+      duration_ms INTEGER   NOT NULL,
+      applied_at  TIMESTAMP NOT NULL DEFAULT NOW()
+    )`);
+}
+
+async function runMigration(client, migration) {
+  if (migration.file.endsWith('.sql')) {
+    await client.query(migration.source);
+  } else {
+    await require(path.join(MIGRATIONS_DIR, migration.file)).up(client);
+  }
+}
+
+// Aplica as migrações pendentes em ordem. Para na primeira que falhar (a
+// transação dela é desfeita) — as anteriores continuam aplicadas.
+async function migrate(pool, { log = console.log } = {}) {
+  const migrations = listMigrations();
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK]);
+    try {
+      await ensureTable(client);
+      const { rows } = await client.query('SELECT version, checksum FROM schema_migrations');
+      const applied = new Map(rows.map(r => [r.version, r.checksum]));
+      for (const m of migrations) {
+        if (applied.has(m.version)) {
+          if (applied.get(m.version) !== m.checksum) {
+            log(`⚠️  Migração ${m.file} foi alterada depois de aplicada — crie uma nova em vez de editar.`);
+          }
+          continue;
+        }
+        const started = Date.now();
+        await client.query('BEGIN');
+        try {
+          await runMigration(client, m);
+          await client.query(
+            'INSERT INTO schema_migrations (version, name, checksum, duration_ms) VALUES ($1, $2, $3, $4)',
+            [m.version, m.name, m.checksum, Date.now() - started]
+          );
+          await client.query('COMMIT');
+        } catch (e) {
+          await client.query('ROLLBACK');
+          throw new Error(`Migração ${m.file} falhou: ${e.message}`);
+        }
+        log(`🗄  Migração ${m.file} aplicada (${Date.now() - started} ms).`);
+      }
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK]);
+    }
+  } finally { client.release(); }
+}
+
+// Situação de cada migração: applied, pending, changed (arquivo editado depois
+// de aplicado) ou missing (registrada no banco, arquivo não existe mais)
+async function migrationStatus(pool) {
+  await ensureTable(pool);
+  const { rows } = await pool.query('SELECT * FROM schema_migrations ORDER BY version');
+  const applied = new Map(rows.map(r => [r.version, r]));
+  const files = listMigrations();
+  const status = files.map(m => {
+    const row = applied.get(m.version);
+    return {
+      version: m.version, file: m.file,
+      state: !row ? 'pending' : row.checksum === m.checksum ? 'applied' : 'changed',
+      applied_at: row?.applied_at || null
+    };
+  });
+  for (const row of rows) {
+    if (!files.some(m => m.version === row.version)) {
+      status.push({ version: row.version, file: `${row.name} (sem arquivo)`, state: 'missing', applied_at: row.applied_at });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
+
+module.exports = { migrate, migrationStatus };
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+if (require.main === module) {
+  const { Pool } = require('pg');
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
+  });
+  const command = process.argv[2] || 'up';
+  const STATE_LABELS = { applied: '✅ aplicada', pending: '⏳ pendente', changed: '⚠️  alterada', missing: '❓ sem arquivo' };
+
+  (async () => {
+    if (command === 'up') {
+      await migrate(pool);
+      console.log('✅ Banco atualizado.');
+    } else if (command === 'status') {
+      for (const m of await migrationStatus(pool)) {
+        const when = m.applied_at ? `  ${m.applied_at.toLocaleString('pt-BR')}` : '';
+        console.log(`${String(m.version).padStart(3, '0')}  ${STATE_LABELS[m.state]}  ${m.file}${when}`);
+      }
+    } else {
+      console.error(`Comando desconhecido: ${command}. Use "up" ou "status".`);
+      process.exitCode = 1;
+    }
+  })()
+    .catch(e => { console.error('❌', e.message); process.exitCode = 1; })
+    .finally(() => pool.end());
+}
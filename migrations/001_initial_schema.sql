@@ -0,0 +1,184 @@
+-- Esquema do sistema até a adoção das migrações versionadas.
+-- Tudo com IF NOT EXISTS: em bancos criados antes das migrações (pelo antigo
+-- initDB) esta migração só completa o que faltar e fica registrada como aplicada.
+
+CREATE TABLE IF NOT EXISTS orders (
+  id         SERIAL PRIMARY KEY,
+  name       TEXT    NOT NULL,
+  phone      TEXT    DEFAULT '',
+  total      NUMERIC NOT NULL DEFAULT 0,
+  payment    TEXT    NOT NULL,
+  status     TEXT    NOT NULL DEFAULT 'pending',
+  order_date DATE    NOT NULL DEFAULT CURRENT_DATE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS order_items (
+  id       SERIAL PRIMARY KEY,
+  order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+  type     TEXT    NOT NULL,
+  qty      NUMERIC NOT NULL,
+  price    NUMERIC NOT NULL,
+  subtotal NUMERIC NOT NULL
+);
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS name            TEXT;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS unit            TEXT;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS list_price      NUMERIC;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS override_reason TEXT;
+CREATE TABLE IF NOT EXISTS history (
+  id          SERIAL PRIMARY KEY,
+  order_id    INTEGER,
+  name        TEXT    NOT NULL,
+  phone       TEXT    DEFAULT '',
+  total       NUMERIC NOT NULL,
+  payment     TEXT    NOT NULL,
+  status      TEXT    NOT NULL,
+  items_json  TEXT    NOT NULL,
+  order_date  DATE,
+  created_at  TIMESTAMP NOT NULL,
+  resolved_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS stock (
+  id         SERIAL PRIMARY KEY,
+  sale_date  DATE    NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS products (
+  id         SERIAL PRIMARY KEY,
+  code       TEXT    NOT NULL UNIQUE,
+  name       TEXT    NOT NULL,
+  unit       TEXT    NOT NULL DEFAULT 'kg',
+  price      NUMERIC NOT NULL DEFAULT 0,
+  step       NUMERIC NOT NULL DEFAULT 1,
+  active     BOOLEAN NOT NULL DEFAULT TRUE,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS stock_items (
+  id         SERIAL PRIMARY KEY,
+  sale_date  DATE    NOT NULL,
+  product    TEXT    NOT NULL REFERENCES products(code),
+  qty        NUMERIC NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (sale_date, product)
+);
+CREATE TABLE IF NOT EXISTS stock_movements (
+  id         SERIAL PRIMARY KEY,
+  sale_date  DATE    NOT NULL,
+  product    TEXT    NOT NULL REFERENCES products(code),
+  delta      NUMERIC NOT NULL,
+  reason     TEXT    NOT NULL,
+  order_id   INTEGER,
+  note       TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS stock_movements_date_idx ON stock_movements (sale_date, product);
+CREATE TABLE IF NOT EXISTS pickup_slots (
+  id         SERIAL PRIMARY KEY,
+  sale_date  DATE    NOT NULL,
+  start_time TIME    NOT NULL,
+  end_time   TIME    NOT NULL,
+  capacity   INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (sale_date, start_time)
+);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pickup_slot_id INTEGER REFERENCES pickup_slots(id) ON DELETE SET NULL;
+CREATE TABLE IF NOT EXISTS customers (
+  id         SERIAL PRIMARY KEY,
+  phone      TEXT NOT NULL UNIQUE,
+  name       TEXT NOT NULL,
+  notes      TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_id INTEGER REFERENCES customers(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS orders_customer_idx ON orders (customer_id);
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pix_txid    TEXT UNIQUE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pix_status  TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pix_paid_at TIMESTAMP;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS pix_e2e_id  TEXT;
+CREATE TABLE IF NOT EXISTS users (
+  id            SERIAL PRIMARY KEY,
+  username      TEXT    NOT NULL UNIQUE,
+  name          TEXT    NOT NULL DEFAULT '',
+  password_hash TEXT    NOT NULL,
+  role          TEXT    NOT NULL DEFAULT 'attendant',
+  active        BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS sessions (
+  token_hash TEXT      PRIMARY KEY,
+  user_id    INTEGER   NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+-- Auditoria: sem FK em order_id para o log sobreviver à exclusão do pedido
+CREATE TABLE IF NOT EXISTS order_events (
+  id         SERIAL PRIMARY KEY,
+  order_id   INTEGER   NOT NULL,
+  action     TEXT      NOT NULL,
+  user_id    INTEGER   REFERENCES users(id) ON DELETE SET NULL,
+  actor      TEXT      NOT NULL,
+  changes    JSONB     NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS order_events_order_idx ON order_events (order_id);
+CREATE TABLE IF NOT EXISTS notifications (
+  id              SERIAL PRIMARY KEY,
+  kind            TEXT      NOT NULL,
+  recipient       TEXT      NOT NULL,
+  message         TEXT      NOT NULL,
+  order_id        INTEGER,
+  provider        TEXT,
+  status          TEXT      NOT NULL DEFAULT 'pending',
+  attempts        INTEGER   NOT NULL DEFAULT 0,
+  last_error      TEXT,
+  next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  sent_at         TIMESTAMP,
+  created_at      TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS notifications_due_idx ON notifications (status, next_attempt_at);
+CREATE TABLE IF NOT EXISTS waitlist (
+  id               SERIAL PRIMARY KEY,
+  sale_date        DATE      NOT NULL,
+  product          TEXT      NOT NULL,
+  qty              NUMERIC   NOT NULL,
+  name             TEXT      NOT NULL,
+  phone            TEXT      NOT NULL,
+  status           TEXT      NOT NULL DEFAULT 'waiting',
+  offered_at       TIMESTAMP,
+  claim_expires_at TIMESTAMP,
+  order_id         INTEGER   REFERENCES orders(id) ON DELETE SET NULL,
+  created_at       TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS waitlist_queue_idx ON waitlist (sale_date, product, status, id);
+CREATE TABLE IF NOT EXISTS schedules (
+  id         SERIAL PRIMARY KEY,
+  job        TEXT      NOT NULL,
+  frequency  TEXT      NOT NULL,
+  weekday    INTEGER,
+  month_day  INTEGER,
+  run_time   TIME      NOT NULL,
+  active     BOOLEAN   NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE TABLE IF NOT EXISTS schedule_runs (
+  id          SERIAL PRIMARY KEY,
+  schedule_id INTEGER   REFERENCES schedules(id) ON DELETE SET NULL,
+  job         TEXT      NOT NULL,
+  trigger     TEXT      NOT NULL,
+  status      TEXT      NOT NULL DEFAULT 'running',
+  sent        INTEGER   NOT NULL DEFAULT 0,
+  detail      TEXT,
+  started_at  TIMESTAMP NOT NULL DEFAULT NOW(),
+  finished_at TIMESTAMP
+);
+-- Listagens paginadas do painel
+CREATE INDEX IF NOT EXISTS order_items_order_idx ON order_items (order_id);
+CREATE INDEX IF NOT EXISTS orders_status_date_idx ON orders (status, order_date);
+CREATE INDEX IF NOT EXISTS history_order_date_idx ON history (order_date);
@@ -0,0 +1,74 @@
+// Dados iniciais e conversão de bancos anteriores às migrações — antes rodava a
+// cada start no initDB. O usuário admin continua no initDB (depende de APP_PASSWORD).
+exports.up = async client => {
+  // Catálogo inicial — os três produtos que existiam fixos no código
+  const { rows: [{ c }] } = await client.query('SELECT COUNT(*) AS c FROM products');
+  if (Number(c) === 0) {
+    await client.query(`
+      INSERT INTO products (code, name, unit, price, step, sort_order) VALUES
+        ('meat',    '🥩 Carne',         'kg', 89.90, 0.5, 1),
+        ('ribs',    '🥩 Costela',       'kg', 59.90, 0.5, 2),
+        ('chicken', '🍗 Frango Assado', 'un', 54.90, 1,   3)
+      ON CONFLICT (code) DO NOTHING`);
+  }
+
+  // Agendamentos iniciais: o resumo de domingo às 20h que era fixo no código,
+  // e as demais rotinas desligadas até o dono ativar
+  const { rows: [{ sc }] } = await client.query('SELECT COUNT(*) AS sc FROM schedules');
+  if (Number(sc) === 0) {
+    await client.query(`
+      INSERT INTO schedules (job, frequency, weekday, month_day, run_time, active) VALUES
+        ('summary_day',     'weekly',  0,    NULL, '20:00', TRUE),
+        ('summary_week',    'weekly',  0,    NULL, '21:00', FALSE),
+        ('summary_month',   'monthly', NULL, 1,    '08:00', FALSE),
+        ('pickup_reminder', 'daily',   NULL, NULL, '18:00', FALSE)`);
+  }
+
+  // Bancos antigos guardavam o estoque em colunas fixas (meat/ribs/chicken):
+  // copia para stock_items e remove as colunas
+  const { rows: legacy } = await client.query(`
+    SELECT column_name FROM information_schema.columns
+    WHERE table_name = 'stock' AND column_name IN ('meat','ribs','chicken')`);
+  for (const { column_name: code } of legacy) {
+    await client.query(`
+      INSERT INTO stock_items (sale_date, product, qty)
+      SELECT sale_date, $1, ${code} FROM stock
+      ON CONFLICT (sale_date, product) DO NOTHING`, [code]);
+    await client.query(`ALTER TABLE stock DROP COLUMN ${code}`);
+  }
+
+  // Estoque registrado antes do livro de movimentos: abre o livro com o saldo
+  // atual somado ao que já está reservado, e uma baixa por pedido em aberto
+  const { rows: [{ m }] } = await client.query('SELECT COUNT(*) AS m FROM stock_movements');
+  if (Number(m) === 0) {
+    const reserved = `
+      SELECT o.id AS order_id, o.order_date AS sale_date, oi.type AS product, SUM(oi.qty) AS qty
+      FROM orders o JOIN order_items oi ON oi.order_id = o.id
+      WHERE o.status != 'cancelled' GROUP BY o.id, o.order_date, oi.type`;
+    await client.query(`
+      INSERT INTO stock_movements (sale_date, product, delta, reason, note)
+      SELECT si.sale_date, si.product, si.qty + COALESCE(SUM(r.qty), 0), 'initial', 'Saldo anterior ao livro de movimentos'
+      FROM stock_items si
+      LEFT JOIN (${reserved}) r ON r.sale_date = si.sale_date AND r.product = si.product
+      GROUP BY si.sale_date, si.product, si.qty`);
+    await client.query(`
+      INSERT INTO stock_movements (sale_date, product, delta, reason, order_id)
+      SELECT r.sale_date, r.product, -r.qty, 'reservation', r.order_id
+      FROM (${reserved}) r JOIN stock_items si ON si.sale_date = r.sale_date AND si.product = r.product
+      ORDER BY r.order_id`);
+  }
+
+  // Pedidos sem cliente vinculado (anteriores ao cadastro): um cliente por telefone,
+  // com o nome do pedido mais recente. Mesmo critério de normalizePhone() do server.js.
+  const phoneSql = col => `regexp_replace(regexp_replace(${col}, '\\D', '', 'g'), '^55(\\d{10,11})$', '\\1')`;
+  await client.query(`
+    INSERT INTO customers (phone, name)
+    SELECT DISTINCT ON (p) p, name FROM (
+      SELECT ${phoneSql('phone')} AS p, name, id FROM orders WHERE customer_id IS NULL
+    ) o WHERE length(p) >= 10
+    ORDER BY p, id DESC
+    ON CONFLICT (phone) DO NOTHING`);
+  await client.query(`
+    UPDATE orders SET customer_id = c.id FROM customers c
+    WHERE orders.customer_id IS NULL AND c.phone = ${phoneSql('orders.phone')}`);
+};
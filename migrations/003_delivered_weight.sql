@@ -0,0 +1,4 @@
+-- Pesagem na retirada: quantidade entregue ao lado da reservada (order_items.qty).
+-- NULL = ainda não pesado. Depois da pesagem o subtotal vale pelo peso entregue.
+ALTER TABLE order_items ADD COLUMN delivered_qty NUMERIC;
+ALTER TABLE orders ADD COLUMN delivered_at TIMESTAMP;
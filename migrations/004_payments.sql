@@ -0,0 +1,35 @@
+-- Pagamentos do pedido: sinal, parciais e formas combinadas (Pix na reserva +
+-- dinheiro na retirada). Saldo = orders.total − soma dos pagamentos.
+-- Sem FK em order_id, como em order_events: o registro continua valendo para as
+-- estatísticas depois que o pedido é removido (o histórico guarda o order_id).
+CREATE TABLE payments (
+  id         SERIAL    PRIMARY KEY,
+  order_id   INTEGER   NOT NULL,
+  method     TEXT      NOT NULL,
+  amount     NUMERIC   NOT NULL CHECK (amount > 0),
+  note       TEXT,
+  user_id    INTEGER   REFERENCES users(id) ON DELETE SET NULL,
+  actor      TEXT      NOT NULL,
+  paid_at    TIMESTAMP NOT NULL DEFAULT NOW()
+);
+CREATE INDEX payments_order_idx ON payments (order_id);
+
+-- Pedidos já pagos viram um pagamento do total, na forma registrada no pedido.
+-- 'a_combinar' não é forma de pagamento: o pedido foi pago na retirada sem
+-- registrar como — entra como dinheiro, marcado na observação.
+INSERT INTO payments (order_id, method, amount, note, actor, paid_at)
+SELECT o.id, CASE WHEN o.payment = 'a_combinar' THEN 'cash' ELSE o.payment END, o.total,
+       CASE WHEN o.payment = 'a_combinar' THEN 'forma não registrada (a combinar)' END, 'migração', o.updated_at
+FROM orders o WHERE o.status = 'paid' AND o.total > 0;
+
+-- Pagos cujo pedido foi removido: só o histórico sobrou
+INSERT INTO payments (order_id, method, amount, note, actor, paid_at)
+SELECT h.order_id, CASE WHEN h.payment = 'a_combinar' THEN 'cash' ELSE h.payment END, h.total,
+       CASE WHEN h.payment = 'a_combinar' THEN 'forma não registrada (a combinar)' END, 'migração', h.resolved_at
+FROM (SELECT DISTINCT ON (order_id) * FROM history WHERE order_id IS NOT NULL ORDER BY order_id, id DESC) h
+WHERE h.status = 'paid' AND h.total > 0 AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.id = h.order_id);
+
+-- Pix confirmado de reserva que ainda não foi retirada
+INSERT INTO payments (order_id, method, amount, actor, paid_at)
+SELECT o.id, 'pix', o.total, 'migração', COALESCE(o.pix_paid_at, o.updated_at)
+FROM orders o WHERE o.status = 'pending' AND o.pix_status = 'confirmed' AND o.total > 0;
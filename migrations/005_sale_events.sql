@@ -0,0 +1,14 @@
+-- Evento de venda: regras da reserva online para uma data de venda.
+-- Data sem linha aqui segue aberta, sem limites (como antes dos eventos).
+-- max_per_customer = { "codigo_do_produto": quantidade máxima por cliente }
+CREATE TABLE sale_events (
+  sale_date        DATE        PRIMARY KEY,
+  opens_at         TIMESTAMPTZ,
+  closes_at        TIMESTAMPTZ,
+  paused           BOOLEAN     NOT NULL DEFAULT FALSE,
+  min_order        NUMERIC,
+  max_per_customer JSONB       NOT NULL DEFAULT '{}',
+  note             TEXT        NOT NULL DEFAULT '',
+  updated_at       TIMESTAMP   NOT NULL DEFAULT NOW(),
+  CHECK (closes_at IS NULL OR opens_at IS NULL OR closes_at > opens_at)
+);
@@ -0,0 +1,18 @@
+-- Proteções da reserva online.
+-- Chave de idempotência enviada pela página: reenvio do mesmo formulário devolve o pedido original
+ALTER TABLE orders ADD COLUMN idempotency_key TEXT;
+CREATE UNIQUE INDEX orders_idempotency_idx ON orders (idempotency_key) WHERE idempotency_key IS NOT NULL;
+
+-- Não retirou: pedido cancelado por falta de retirada, contado no cadastro do cliente
+ALTER TABLE orders ADD COLUMN no_show BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE customers ADD COLUMN no_shows INTEGER NOT NULL DEFAULT 0;
+
+-- Telefones bloqueados para reserva online (mesmo formato de customers.phone:
+-- só dígitos, sem o 55). auto = bloqueado pelo limite de não-retiradas.
+CREATE TABLE phone_blocks (
+  phone      TEXT      PRIMARY KEY,
+  reason     TEXT      NOT NULL DEFAULT '',
+  auto       BOOLEAN   NOT NULL DEFAULT FALSE,
+  created_by TEXT      NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
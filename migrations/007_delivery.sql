@@ -0,0 +1,23 @@
+-- Entrega em casa. Zonas cadastradas pelo dono: cada uma cobre uma faixa de CEP
+-- (8 dígitos, inclusiva) e/ou uma lista de bairros, com a taxa cobrada.
+CREATE TABLE delivery_zones (
+  id            SERIAL    PRIMARY KEY,
+  name          TEXT      NOT NULL,
+  cep_from      TEXT,
+  cep_to        TEXT,
+  neighborhoods TEXT[]    NOT NULL DEFAULT '{}',
+  fee           NUMERIC   NOT NULL CHECK (fee >= 0),
+  active        BOOLEAN   NOT NULL DEFAULT TRUE,
+  created_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK ((cep_from IS NULL) = (cep_to IS NULL)),
+  CHECK (cep_from IS NULL OR cep_from <= cep_to)
+);
+
+-- Pedido retirado na loja (padrão) ou entregue. orders.total já inclui a taxa;
+-- delivery_address = { cep, street, number, complement, neighborhood, reference }.
+-- A zona é só referência: a taxa cobrada fica gravada no pedido.
+ALTER TABLE orders ADD COLUMN fulfillment TEXT NOT NULL DEFAULT 'pickup' CHECK (fulfillment IN ('pickup', 'delivery'));
+ALTER TABLE orders ADD COLUMN delivery_address JSONB;
+ALTER TABLE orders ADD COLUMN delivery_fee NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN delivery_zone_id INTEGER REFERENCES delivery_zones(id) ON DELETE SET NULL;
@@ -5,6 +5,10 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const cron = require('node-cron');
 const path = require('path');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const ExcelJS = require('exceljs');
+const { migrate } = require('./migrate');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -20,91 +24,499 @@ app.use('/api/', rateLimit({
   standardHeaders: true, legacyHeaders: false,
   message: { error: 'Muitas requisições. Tente novamente em breve.' }
 }));
-app.use(express.json({ limit: '1mb' }));
+// rawBody: o webhook do Pix confere a assinatura HMAC sobre os bytes recebidos
+app.use(express.json({ limit: '1mb', verify: (req, res, buf) => { req.rawBody = buf; } }));
 app.use(express.static(path.join(__dirname, 'public')));
 
+// Toda rota /api exige login. Só o que está nesta lista responde sem token —
+// rota nova fica protegida até ser incluída aqui de propósito.
+const PUBLIC_API = [
+  'GET /api/health',
+  'POST /api/auth/login',
+  'POST /api/auth/logout',
+  'GET /api/auth/verify',
+  'POST /api/auth/password', // valida a sessão no próprio handler (liberada também para consulta)
+  'GET /api/public/*',
+  'POST /api/public/reserva',
+  'PUT /api/public/reserva/*',
+  'POST /api/public/reserva/*',
+  'POST /api/public/waitlist',
+  'POST /api/public/waitlist/*',
+  'POST /api/public/pix/webhook', // autenticado por assinatura HMAC (PIX_WEBHOOK_SECRET)
+];
+
+function isPublicApi(req) {
+  const method = req.method === 'HEAD' ? 'GET' : req.method;
+  const url = req.originalUrl.split('?')[0].replace(/\/+$/, '');
+  return PUBLIC_API.some(entry => {
+    const [m, route] = entry.split(' ');
+    if (m !== method) return false;
+    return route.endsWith('/*') ? url.startsWith(route.slice(0, -1)) : url === route;
+  });
+}
+
+app.use('/api', (req, res, next) => isPublicApi(req) ? next() : requireAuth(req, res, next));
+
 // ─── DATABASE SETUP (PostgreSQL) ─────────────────────────────────────────────
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
   ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
 });
 
+// Esquema em migrations/ (ver migrate.js); aqui só o que depende do ambiente
 async function initDB() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS orders (
-      id         SERIAL PRIMARY KEY,
-      name       TEXT    NOT NULL,
-      phone      TEXT    DEFAULT '',
-      total      NUMERIC NOT NULL DEFAULT 0,
-      payment    TEXT    NOT NULL,
-      status     TEXT    NOT NULL DEFAULT 'pending',
-      order_date DATE    NOT NULL DEFAULT CURRENT_DATE,
-      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
-    );
-    CREATE TABLE IF NOT EXISTS order_items (
-      id       SERIAL PRIMARY KEY,
-      order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
-      type     TEXT    NOT NULL,
-      qty      NUMERIC NOT NULL,
-      price    NUMERIC NOT NULL,
-      subtotal NUMERIC NOT NULL
-    );
-    CREATE TABLE IF NOT EXISTS history (
-      id          SERIAL PRIMARY KEY,
-      order_id    INTEGER,
-      name        TEXT    NOT NULL,
-      phone       TEXT    DEFAULT '',
-      total       NUMERIC NOT NULL,
-      payment     TEXT    NOT NULL,
-      status      TEXT    NOT NULL,
-      items_json  TEXT    NOT NULL,
-      order_date  DATE,
-      created_at  TIMESTAMP NOT NULL,
-      resolved_at TIMESTAMP NOT NULL DEFAULT NOW()
-    );
-    CREATE TABLE IF NOT EXISTS stock (
-      id         SERIAL PRIMARY KEY,
-      sale_date  DATE    NOT NULL UNIQUE,
-      meat       NUMERIC NOT NULL DEFAULT 0,
-      ribs       NUMERIC NOT NULL DEFAULT 0,
-      chicken    NUMERIC NOT NULL DEFAULT 0,
-      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-      updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+  await migrate(pool);
+
+  // Envio interrompido por reinício volta para a fila
+  await pool.query(`UPDATE notifications SET status = 'pending' WHERE status = 'sending'`);
+
+  // Primeiro acesso: cria o dono "admin" com a senha de APP_PASSWORD
+  const { rows: [{ u }] } = await pool.query('SELECT COUNT(*) AS u FROM users');
+  if (Number(u) === 0) {
+    const password = process.env.APP_PASSWORD || crypto.randomBytes(6).toString('hex');
+    await pool.query(
+      `INSERT INTO users (username, name, password_hash, role) VALUES ('admin', 'Administrador', $1, 'owner')`,
+      [await hashPassword(password)]
     );
-  `);
+    console.log(process.env.APP_PASSWORD
+      ? '👤 Usuário "admin" criado com a senha de APP_PASSWORD.'
+      : `👤 Usuário "admin" criado com a senha temporária: ${password} — troque no primeiro acesso.`);
+  }
   console.log('✅ Banco de dados inicializado.');
 }
 
 // ─── HELPERS ──────────────────────────────────────────────────────────────────
-async function getOrderWithItems(id) {
-  const { rows } = await pool.query('SELECT * FROM orders WHERE id = $1', [id]);
-  if (!rows.length) return null;
-  const order = rows[0];
-  const items = await pool.query('SELECT * FROM order_items WHERE order_id = $1', [id]);
-  order.items = items.rows;
-  order.created_at = order.created_at?.toLocaleString('pt-BR');
-  order.order_date = order.order_date?.toISOString().split('T')[0];
-  return order;
+// Erro com status HTTP — lançado dentro das transações e devolvido pela rota.
+// `details` segue junto no JSON da resposta (ex: quantidade disponível).
+function httpError(status, message, details = {}) {
+  return Object.assign(new Error(message), { status, details });
 }
 
-async function getAllOrders() {
-  const { rows } = await pool.query('SELECT * FROM orders ORDER BY id DESC');
-  const orders = [];
-  for (const o of rows) {
-    const items = await pool.query('SELECT * FROM order_items WHERE order_id = $1', [o.id]);
-    o.items = items.rows;
-    o.created_at = o.created_at?.toLocaleString('pt-BR');
-    o.order_date = o.order_date?.toISOString().split('T')[0];
-    orders.push(o);
+function sendError(res, e) {
+  res.status(e.status || 500).json({ error: e.message, ...e.details });
+}
+
+function isoDate(d) {
+  return d instanceof Date ? d.toISOString().split('T')[0] : String(d).slice(0, 10);
+}
+
+// YYYY-MM-DD de um dia que existe (2026-02-30 não passa)
+function isIsoDate(s) {
+  const d = new Date(`${s}T00:00:00Z`);
+  return /^\d{4}-\d{2}-\d{2}$/.test(s) && !isNaN(d) && isoDate(d) === s;
+}
+
+// Colunas do pedido com a janela de retirada (pickup = "11:00–11:30" ou null)
+const ORDER_COLUMNS = `o.*, ps.start_time AS pickup_start, ps.end_time AS pickup_end`;
+const ORDER_FROM = `orders o LEFT JOIN pickup_slots ps ON ps.id = o.pickup_slot_id`;
+
+function slotLabel(start, end) {
+  return start ? `${start.slice(0, 5)}–${end.slice(0, 5)}` : null;
+}
+
+// Itens e pagamentos de vários pedidos numa consulta cada: preenche order.items,
+// order.payments, paid_amount, balance (total − pago) e items_total (total sem a
+// taxa de entrega) e formata as datas
+async function attachOrderItems(orders, db = pool) {
+  const ids = orders.map(o => o.id);
+  const { rows } = await db.query('SELECT * FROM order_items WHERE order_id = ANY($1) ORDER BY id', [ids]);
+  const { rows: payments } = await db.query(
+    'SELECT id, order_id, method, amount, note, actor, paid_at FROM payments WHERE order_id = ANY($1) ORDER BY id', [ids]
+  );
+  const byOrder = {}, paidByOrder = {};
+  for (const item of rows) (byOrder[item.order_id] ||= []).push(item);
+  for (const p of payments) (paidByOrder[p.order_id] ||= []).push({ ...p, amount: parseFloat(p.amount) });
+  for (const order of orders) {
+    order.items = byOrder[order.id] || [];
+    order.payments = paidByOrder[order.id] || [];
+    order.paid_amount = Math.round(order.payments.reduce((s, p) => s + p.amount, 0) * 100) / 100;
+    order.balance = Math.round((parseFloat(order.total) - order.paid_amount) * 100) / 100;
+    order.delivery_fee = parseFloat(order.delivery_fee || 0);
+    order.items_total = Math.round((parseFloat(order.total) - order.delivery_fee) * 100) / 100;
+    order.pickup = slotLabel(order.pickup_start, order.pickup_end);
+    order.created_at = order.created_at?.toLocaleString('pt-BR');
+    order.order_date = order.order_date?.toISOString().split('T')[0];
   }
   return orders;
 }
 
+async function getOrderWithItems(id, db = pool) {
+  const { rows } = await db.query(`SELECT ${ORDER_COLUMNS} FROM ${ORDER_FROM} WHERE o.id = $1`, [id]);
+  if (!rows.length) return null;
+  return (await attachOrderItems(rows, db))[0];
+}
+
+// Janelas de retirada de uma data com ocupação (pedidos não cancelados)
+async function getSlots(date, db = pool) {
+  const { rows } = await db.query(`
+    SELECT s.id, s.start_time, s.end_time, s.capacity,
+           COUNT(o.id) FILTER (WHERE o.status != 'cancelled') AS booked
+    FROM pickup_slots s
+    LEFT JOIN orders o ON o.pickup_slot_id = s.id
+    WHERE s.sale_date = $1
+    GROUP BY s.id ORDER BY s.start_time`, [date]);
+  return rows.map(r => ({
+    id: r.id,
+    start_time: r.start_time.slice(0, 5),
+    end_time: r.end_time.slice(0, 5),
+    label: slotLabel(r.start_time, r.end_time),
+    capacity: r.capacity,
+    booked: Number(r.booked),
+    remaining: Math.max(0, r.capacity - Number(r.booked))
+  }));
+}
+
+// Ocupa uma vaga na janela: trava a linha do horário, então reservas
+// simultâneas não passam da capacidade. excludeOrderId = pedido sendo editado.
+async function reserveSlot(client, slotId, date, excludeOrderId = null) {
+  const { rows } = await client.query(
+    'SELECT * FROM pickup_slots WHERE id = $1 AND sale_date = $2 FOR UPDATE', [slotId, date]
+  );
+  if (!rows.length) throw httpError(400, 'Horário de retirada inválido para esta data.');
+  const { rows: [{ booked }] } = await client.query(`
+    SELECT COUNT(*) AS booked FROM orders
+    WHERE pickup_slot_id = $1 AND status != 'cancelled' AND id IS DISTINCT FROM $2`,
+    [slotId, excludeOrderId]);
+  if (Number(booked) >= rows[0].capacity) {
+    throw httpError(409, `Horário ${slotLabel(rows[0].start_time, rows[0].end_time)} esgotado. Escolha outro horário.`,
+      { pickup_slot_id: rows[0].id });
+  }
+}
+
+// Campos do pedido comparados na trilha de auditoria (order_events)
+const AUDITED_FIELDS = ['name', 'phone', 'payment', 'status', 'pix_status', 'order_date', 'pickup',
+  'fulfillment', 'delivery_address', 'delivery_fee', 'total', 'paid_amount'];
+
+function auditItems(items) {
+  return (items || []).map(i => ({
+    type: i.type, qty: parseFloat(i.qty), price: parseFloat(i.price),
+    ...(i.delivered_qty != null ? { delivered_qty: parseFloat(i.delivered_qty) } : {}),
+    ...(i.override_reason ? { override_reason: i.override_reason } : {})
+  }));
+}
+
+// Diferença campo a campo { campo: { from, to } }; before/after nulos na criação e na exclusão
+function orderDiff(before, after) {
+  const norm = (o, f) => {
+    const v = o?.[f];
+    if (v == null) return null;
+    if (f === 'total' || f === 'paid_amount' || f === 'delivery_fee') return parseFloat(v);
+    if (f === 'order_date') return isoDate(v);
+    if (f === 'delivery_address') return deliveryAddressLine(v);
+    return v;
+  };
+  const changes = {};
+  for (const f of AUDITED_FIELDS) {
+    const from = norm(before, f), to = norm(after, f);
+    if (from !== to) changes[f] = { from, to };
+  }
+  const fromItems = before ? auditItems(before.items) : null;
+  const toItems = after ? auditItems(after.items) : null;
+  if (JSON.stringify(fromItems) !== JSON.stringify(toItems)) changes.items = { from: fromItems, to: toItems };
+  return changes;
+}
+
+// Registra create/update/status/delete com autor e diff. user nulo = reserva online.
+async function recordOrderEvent(db, orderId, action, user, before, after) {
+  const changes = orderDiff(before, after);
+  if (action === 'update' && !Object.keys(changes).length) return;
+  await db.query(
+    'INSERT INTO order_events (order_id, action, user_id, actor, changes) VALUES ($1, $2, $3, $4, $5)',
+    [orderId, action, user?.id || null, user ? user.username : 'reserva online', JSON.stringify(changes)]
+  );
+  const type = action === 'create' ? 'order_created'
+    : action === 'delete' ? 'order_deleted'
+    : after.status === 'cancelled' && before.status !== 'cancelled' ? 'order_cancelled' : 'order_updated';
+  await liveNotify(db, type, { order: liveOrder(after || before), actor: user ? user.username : 'reserva online' });
+}
+
+// Telefone só com dígitos, sem o DDI 55 — chave do cadastro de clientes
+function normalizePhone(phone) {
+  return String(phone || '').replace(/\D/g, '').replace(/^55(\d{10,11})$/, '$1');
+}
+
+// Cliente do telefone (cria no primeiro pedido). O nome cadastrado é mantido:
+// correções de grafia são feitas no cadastro, não a cada reserva.
+async function upsertCustomer(db, name, phone) {
+  const clean = normalizePhone(phone);
+  if (clean.length < 10) return null;
+  const { rows } = await db.query(`
+    INSERT INTO customers (phone, name) VALUES ($1, $2)
+    ON CONFLICT (phone) DO UPDATE SET updated_at = NOW()
+    RETURNING id`, [clean, String(name).trim()]);
+  return rows[0].id;
+}
+
+function formatProduct(p) {
+  return { ...p, price: parseFloat(p.price), step: parseFloat(p.step) };
+}
+
+async function getProducts() {
+  const { rows } = await pool.query('SELECT * FROM products ORDER BY sort_order, id');
+  return rows.map(formatProduct);
+}
+
+// Estoque de uma data: um item por produto ativo (ou inativo que ainda tenha saldo)
+async function getStock(date) {
+  const { rows } = await pool.query(`
+    SELECT p.code AS product, p.name, p.unit, p.price, p.step, p.active, COALESCE(si.qty, 0) AS qty
+    FROM products p
+    LEFT JOIN stock_items si ON si.product = p.code AND si.sale_date = $1
+    WHERE p.active OR si.qty > 0
+    ORDER BY p.sort_order, p.id`, [date]);
+  return {
+    sale_date: date,
+    items: rows.map(r => ({ ...r, price: parseFloat(r.price), step: parseFloat(r.step), qty: parseFloat(r.qty) }))
+  };
+}
+
+// Soma as quantidades dos itens por produto: { meat: 2.5, chicken: 1 }.
+// Item já pesado conta pelo peso entregue.
+function qtyByProduct(items) {
+  const totals = {};
+  for (const i of items) {
+    const qty = parseFloat(i.delivered_qty ?? i.qty) || 0;
+    if (qty > 0) totals[i.type] = (totals[i.type] || 0) + qty;
+  }
+  return totals;
+}
+
+// Movimentos de estoque de um conjunto de itens: sign -1 abate, +1 devolve
+function stockChanges(date, items, sign) {
+  return Object.entries(qtyByProduct(items))
+    .map(([product, qty]) => ({ date: isoDate(date), product, delta: sign * qty }));
+}
+
+// Motivos aceitos no livro de movimentos (stock_movements.reason)
+const STOCK_REASONS = ['initial', 'reservation', 'cancel', 'edit', 'delete', 'manual', 'loss', 'waitlist', 'delivery', 'overweight'];
+
+// Aplica movimentos de estoque dentro da transação do pedido. Os movimentos são
+// somados por data/produto e as linhas travadas (FOR UPDATE) sempre na mesma
+// ordem: duas reservas simultâneas esperam uma pela outra em vez de venderem o
+// mesmo quilo, e nenhuma abate além do disponível (erro 409). Cada saldo
+// alterado gera uma linha em stock_movements com o motivo e o pedido.
+// Datas sem estoque cadastrado não são controladas.
+// coverShortfall: em vez do 409, lança a falta como entrada 'overweight' (a peça
+// pesou mais que o saldo do livro, mas a carne estava no balcão) e zera o saldo.
+async function applyStockChanges(client, changes, { reason, orderId = null, note = null, coverShortfall = false }) {
+  if (!STOCK_REASONS.includes(reason)) throw new Error(`Invalid stock movement reason: ${reason}`);
+  const net = {};
+  for (const c of changes) {
+    const key = `${c.date}|${c.product}`;
+    net[key] = (net[key] || 0) + c.delta;
+  }
+  for (const key of Object.keys(net).sort()) {
+    const delta = Math.round(net[key] * 1000) / 1000;
+    if (!delta) continue;
+    const [date, product] = key.split('|');
+    const { rows: tracked } = await client.query('SELECT 1 FROM stock WHERE sale_date = $1', [date]);
+    if (!tracked.length) continue;
+
+    const { rows } = await client.query(
+      'SELECT qty FROM stock_items WHERE sale_date = $1 AND product = $2 FOR UPDATE', [date, product]
+    );
+    const available = parseFloat(rows[0]?.qty ?? 0);
+    const shortfall = Math.round(-(available + delta) * 1000) / 1000;
+    if (shortfall > 0 && !coverShortfall) {
+      const { rows: [p] } = await client.query('SELECT name FROM products WHERE code = $1', [product]);
+      throw httpError(409, `Quantidade indisponível para ${p?.name || product}. Disponível: ${available}`,
+        { product, available });
+    }
+    const { rows: [saved] } = await client.query(`
+      INSERT INTO stock_items (sale_date, product, qty) VALUES ($1, $2, $3)
+      ON CONFLICT (sale_date, product) DO UPDATE SET qty = stock_items.qty + $3, updated_at = NOW()
+      RETURNING qty`,
+      [date, product, delta + Math.max(shortfall, 0)]
+    );
+    if (shortfall > 0) {
+      await client.query(`
+        INSERT INTO stock_movements (sale_date, product, delta, reason, order_id, note)
+        VALUES ($1, $2, $3, 'overweight', $4, 'Peso entregue acima do saldo')`,
+        [date, product, shortfall, orderId]
+      );
+    }
+    await client.query(`
+      INSERT INTO stock_movements (sale_date, product, delta, reason, order_id, note)
+      VALUES ($1, $2, $3, $4, $5, $6)`,
+      [date, product, delta, reason, orderId, note]
+    );
+    await liveNotify(client, 'stock', { sale_date: date, product, qty: parseFloat(saved.qty), delta, reason });
+  }
+}
+
+// Retorna o primeiro tipo de item que não existe no catálogo
+function findUnknownProduct(items, products) {
+  const codes = new Set(products.map(p => p.code));
+  return items.find(i => !codes.has(i.type))?.type;
+}
+
+// Precifica os itens pelo catálogo: do navegador só valem produto e quantidade.
+// `basePrices` preserva o preço já registrado num pedido que está sendo editado;
+// `allowOverride` libera o ajuste manual (somente painel), que exige motivo.
+function priceItems(items, products, { allowOverride = false, basePrices = {} } = {}) {
+  const byCode = Object.fromEntries(products.map(p => [p.code, p]));
+  const priced = [];
+  for (const item of items) {
+    const qty = parseFloat(item.qty) || 0;
+    if (qty <= 0) continue;
+    const product = byCode[item.type];
+    if (!product) throw httpError(400, `Produto inválido: ${item.type}`);
+    const listPrice = basePrices[item.type] ?? product.price;
+    let price = listPrice, reason = null;
+    if (item.price_override != null && item.price_override !== '') {
+      if (!allowOverride) throw httpError(400, 'Ajuste de preço não permitido.');
+      price  = parseFloat(item.price_override);
+      reason = String(item.override_reason || '').trim();
+      if (!(price >= 0)) throw httpError(400, `Preço inválido para ${product.name}.`);
+      if (!reason) throw httpError(400, `Informe o motivo do ajuste de preço de ${product.name}.`);
+    }
+    priced.push({
+      type: product.code, name: product.name, unit: product.unit, qty,
+      list_price: listPrice, price, subtotal: Math.round(qty * price * 100) / 100,
+      override_reason: reason
+    });
+  }
+  if (!priced.length) throw httpError(400, 'Informe ao menos um item com quantidade.');
+  const total = Math.round(priced.reduce((s, i) => s + i.subtotal, 0) * 100) / 100;
+  return { items: priced, total };
+}
+
+// Rejeita o pedido se o total exibido ao cliente não for o que será cobrado
+function checkClientTotal(clientTotal, total) {
+  if (clientTotal == null || clientTotal === '') return;
+  if (Math.abs(parseFloat(clientTotal) - total) > 0.009) {
+    const brl = n => 'R$ ' + Number(n).toFixed(2).replace('.', ',');
+    throw httpError(409,
+      `O total informado (${brl(parseFloat(clientTotal) || 0)}) não confere com o valor atual (${brl(total)}). Revise os itens e tente novamente.`,
+      { total });
+  }
+}
+
+async function insertOrderItems(client, orderId, items) {
+  for (const item of items) {
+    await client.query(`
+      INSERT INTO order_items (order_id, type, name, unit, qty, list_price, price, subtotal, override_reason)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [orderId, item.type, item.name, item.unit, item.qty, item.list_price, item.price, item.subtotal, item.override_reason]
+    );
+  }
+}
+
+// Filtros, ordenação e paginação de /api/orders e /api/history:
+//   status=pending,paid · payment=pix,cash · from/to (data do pedido) ·
+//   q (nome ou telefone) · sort/dir · limit (máx. 200) e offset.
+// Devolve o WHERE/ORDER BY parametrizados ou responde 400 e devolve null.
+const PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function listParams(req, res, { table, dateColumn, statuses, sorts, defaultSort, defaultDir }) {
+  const query = req.query;
+  const where = [], params = [];
+  const add = (sql, ...values) => {
+    where.push(sql.replace(/\$\?/g, () => `$${params.push(values.shift())}`));
+  };
+  const fail = error => { res.status(400).json({ error }); return null; };
+
+  if (query.status) {
+    const list = String(query.status).split(',');
+    if (list.some(st => !statuses.includes(st))) return fail(`status must be one of ${statuses.join(', ')}`);
+    add(`${table}.status = ANY($?)`, list);
+  }
+  if (query.payment) {
+    const list = String(query.payment).split(',');
+    if (list.some(pm => !Object.hasOwn(PAYMENT_BR, pm))) return fail(`payment must be one of ${Object.keys(PAYMENT_BR).join(', ')}`);
+    add(`${table}.payment = ANY($?)`, list);
+  }
+  for (const [key, op] of [['from', '>='], ['to', '<=']]) {
+    if (!query[key]) continue;
+    if (!isIsoDate(String(query[key]))) return fail(`${key} must be YYYY-MM-DD`);
+    add(`${dateColumn} ${op} $?`, String(query[key]));
+  }
+  const term = String(query.q || '').trim();
+  if (term) {
+    const like = `%${term.replace(/[\\%_]/g, '\\$&')}%`;
+    const digits = term.replace(/\D/g, '');
+    if (digits.length >= 3) {
+      add(`(${table}.name ILIKE $? OR regexp_replace(${table}.phone, '\\D', '', 'g') LIKE $?)`, like, `%${digits}%`);
+    } else {
+      add(`${table}.name ILIKE $?`, like);
+    }
+  }
+
+  // Parâmetros repetidos chegam como array e nomes como "constructor" existem no protótipo
+  const sort = String(query.sort || defaultSort);
+  if (!Object.hasOwn(sorts, sort)) return fail(`sort must be one of ${Object.keys(sorts).join(', ')}`);
+  const dir = String(query.dir || defaultDir).toLowerCase();
+  if (!['asc', 'desc'].includes(dir)) return fail('dir must be asc or desc');
+  const limit = query.limit == null ? PAGE_SIZE : Number(query.limit);
+  const offset = query.offset == null ? 0 : Number(query.offset);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) return fail(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  if (!Number.isInteger(offset) || offset < 0) return fail('offset must be a non-negative integer');
+
+  return {
+    where: where.length ? `WHERE ${where.join(' AND ')}` : '',
+    params,
+    orderBy: [...sorts[sort], `${table}.id`].map(col => `${col} ${dir}`).join(', '),
+    limit, offset
+  };
+}
+
+// Colunas de ordenação aceitas em ?sort= (o id desempata)
+const ORDER_SORTS = {
+  id: [],
+  order_date: ['o.order_date', 'ps.start_time'],
+  created_at: ['o.created_at'],
+  name: ['o.name'],
+  total: ['o.total']
+};
+
+// Formas aceitas num pagamento registrado ("Na retirada" não é forma de pagamento)
+const PAYMENT_METHODS = ['cash', 'card', 'pix'];
+
+// [{ method, amount, note? }] validado e arredondado; lança 400 no primeiro inválido
+function parsePayments(list) {
+  if (!Array.isArray(list)) throw httpError(400, 'payments must be an array');
+  return list.map(p => {
+    const amount = Math.round(parseFloat(p?.amount) * 100) / 100;
+    if (!PAYMENT_METHODS.includes(p?.method))
+      throw httpError(400, `payment method must be one of ${PAYMENT_METHODS.join(', ')}`);
+    if (!(amount > 0)) throw httpError(400, 'payment amount must be greater than zero');
+    return { method: p.method, amount, note: p.note ? String(p.note).trim() : null };
+  });
+}
+
+// Grava pagamentos de um pedido (já travado pelo chamador). Não aceita mais que o saldo.
+async function recordPayments(client, order, payments, user) {
+  if (!payments.length) return;
+  if (order.status === 'cancelled') throw httpError(409, 'Cannot record payments on a cancelled order');
+  const { rows: [{ paid }] } = await client.query(
+    'SELECT COALESCE(SUM(amount), 0) AS paid FROM payments WHERE order_id = $1', [order.id]
+  );
+  const balance = Math.round((parseFloat(order.total) - parseFloat(paid)) * 100) / 100;
+  const sum = payments.reduce((s, p) => s + p.amount, 0);
+  if (sum > balance + 0.005) throw httpError(400, 'Payments exceed the outstanding balance', { balance });
+  for (const p of payments) {
+    await client.query(
+      'INSERT INTO payments (order_id, method, amount, note, user_id, actor) VALUES ($1, $2, $3, $4, $5, $6)',
+      [order.id, p.method, p.amount, p.note, user?.id || null, user ? user.username : 'reserva online']
+    );
+  }
+}
+
 // ─── ROUTES: ORDERS ───────────────────────────────────────────────────────────
 app.get('/api/orders', async (req, res) => {
-  try { res.json(await getAllOrders()); }
-  catch (e) { res.status(500).json({ error: e.message }); }
+  try {
+    const p = listParams(req, res, {
+      table: 'o', dateColumn: 'o.order_date', statuses: ['pending', 'paid', 'cancelled'],
+      sorts: ORDER_SORTS, defaultSort: 'id', defaultDir: 'desc'
+    });
+    if (!p) return;
+    const { rows: [{ total }] } = await pool.query(`SELECT COUNT(*) AS total FROM ${ORDER_FROM} ${p.where}`, p.params);
+    const { rows } = await pool.query(`
+      SELECT ${ORDER_COLUMNS} FROM ${ORDER_FROM} ${p.where}
+      ORDER BY ${p.orderBy} LIMIT ${p.limit} OFFSET ${p.offset}`, p.params);
+    res.json({ orders: await attachOrderItems(rows), total: Number(total), limit: p.limit, offset: p.offset });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 app.get('/api/orders/:id', async (req, res) => {
@@ -116,186 +528,776 @@ app.get('/api/orders/:id', async (req, res) => {
 });
 
 app.post('/api/orders', async (req, res) => {
-  const { name, phone, items, payment, order_date } = req.body;
-  if (!name || !items?.length || !payment)
+  const { name, phone, payment, order_date, pickup_slot_id } = req.body;
+  if (!name || !req.body.items?.length || !payment)
     return res.status(400).json({ error: 'name, items and payment are required' });
 
-  const total = items.reduce((s, i) => s + i.subtotal, 0);
+  let items, total, delivery;
+  try {
+    ({ items, total } = priceItems(req.body.items, await getProducts(), { allowOverride: true }));
+    delivery = await resolveDelivery(pool, req.body, { allowFeeOverride: true });
+    total = Math.round((total + delivery.fee) * 100) / 100;
+    checkClientTotal(req.body.total, total);
+  } catch (e) { return sendError(res, e); }
+
   const date = order_date || new Date().toISOString().split('T')[0];
+  // Janela de retirada é opcional no balcão; entrega não usa janela
+  const slotId = delivery.fulfillment === 'pickup' ? Number(pickup_slot_id) || null : null;
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
+    if (slotId) await reserveSlot(client, slotId, date);
+    const customerId = await upsertCustomer(client, name, phone);
     const { rows } = await client.query(
-      `INSERT INTO orders (name, phone, total, payment, order_date) VALUES ($1,$2,$3,$4,$5) RETURNING id`,
-      [name, phone || '', total, payment, date]
+      `INSERT INTO orders (name, phone, total, payment, order_date, pickup_slot_id, customer_id,
+                           fulfillment, delivery_address, delivery_fee, delivery_zone_id)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING id`,
+      [name, phone || '', total, payment, date, slotId, customerId,
+       delivery.fulfillment, delivery.address, delivery.fee, delivery.zoneId]
     );
     const orderId = rows[0].id;
-    for (const item of items) {
-      await client.query(
-        `INSERT INTO order_items (order_id, type, qty, price, subtotal) VALUES ($1,$2,$3,$4,$5)`,
-        [orderId, item.type, item.qty, item.price, item.subtotal]
-      );
-    }
+    await insertOrderItems(client, orderId, items);
     // Abate do estoque ao registrar reserva
-    const meatQty    = items.filter(i=>i.type==='meat').reduce((s,i)=>s+parseFloat(i.qty),0);
-    const ribsQty    = items.filter(i=>i.type==='ribs').reduce((s,i)=>s+parseFloat(i.qty),0);
-    const chickenQty = items.filter(i=>i.type==='chicken').reduce((s,i)=>s+parseFloat(i.qty),0);
-    if (meatQty || ribsQty || chickenQty) {
-      await client.query(`
-        UPDATE stock SET
-          meat    = GREATEST(0, meat - $1),
-          ribs    = GREATEST(0, ribs - $2),
-          chicken = GREATEST(0, chicken - $3),
-          updated_at = NOW()
-        WHERE sale_date = $4`,
-        [meatQty, ribsQty, chickenQty, date]
-      );
-    }
+    await applyStockChanges(client, stockChanges(date, items, -1), { reason: 'reservation', orderId });
+    const created = await getOrderWithItems(orderId, client);
+    await recordOrderEvent(client, orderId, 'create', req.user, null, created);
     await client.query('COMMIT');
-    res.status(201).json(await getOrderWithItems(orderId));
+    res.status(201).json(created);
   } catch (e) {
     await client.query('ROLLBACK');
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   } finally { client.release(); }
 });
 
+// Alteração de pedido dentro de uma transação aberta — usada pelo painel e pelo
+// link de autoatendimento do cliente. Devolve o pedido atualizado ou null se não existe.
+async function updateOrder(client, id, body, user) {
+  const { name, phone, payment, status, order_date } = body;
+  const products = body.items ? await getProducts() : null;
+  const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+  if (!rows.length) return null;
+  const existing = rows[0];
+  const before = await getOrderWithItems(id, client);
+  const current = before.items;
+
+  // Itens editados mantêm o preço de tabela registrado na reserva
+  let items = null, itemsTotal = before.items_total;
+  if (body.items) {
+    const basePrices = Object.fromEntries(current.map(i => [i.type, parseFloat(i.list_price ?? i.price)]));
+    ({ items, total: itemsTotal } = priceItems(body.items, products, { allowOverride: true, basePrices }));
+  }
+  // Entrega: só recalcula a taxa quando o body mexe em fulfillment, endereço ou taxa.
+  // O painel (user) pode digitar a taxa; o cliente segue a tabela.
+  const delivery = ['fulfillment', 'delivery_address', 'delivery_fee'].some(f => f in body)
+    ? await resolveDelivery(client, {
+        fulfillment: existing.fulfillment, delivery_address: existing.delivery_address, ...body
+      }, { allowFeeOverride: Boolean(user) })
+    : { fulfillment: existing.fulfillment, address: existing.delivery_address, zoneId: existing.delivery_zone_id, fee: before.delivery_fee };
+  const total = Math.round((itemsTotal + delivery.fee) * 100) / 100;
+  if (body.items) checkClientTotal(body.total, total);
+
+  // Janela de retirada: revalida a vaga quando muda o horário, a data ou o pedido volta a valer.
+  // pickup_slot_id: null no body remove o horário; ausente mantém. Entrega não usa janela.
+  const slotGiven = 'pickup_slot_id' in body;
+  const slotId = delivery.fulfillment === 'delivery' ? null
+    : slotGiven ? Number(body.pickup_slot_id) || null : existing.pickup_slot_id;
+  const newDate = order_date || isoDate(existing.order_date);
+  if (slotId && (status || existing.status) !== 'cancelled' &&
+      (slotId !== existing.pickup_slot_id || newDate !== isoDate(existing.order_date) || existing.status === 'cancelled')) {
+    await reserveSlot(client, slotId, newDate, existing.id);
+  }
+
+  // Telefone alterado: vincula ao cliente do novo número
+  const customerId = phone != null && normalizePhone(phone) !== normalizePhone(existing.phone)
+    ? await upsertCustomer(client, name || existing.name, phone)
+    : existing.customer_id;
+
+  await client.query(`
+    UPDATE orders SET
+      name = COALESCE($1, name), phone = COALESCE($2, phone),
+      total = $3, payment = COALESCE($4, payment),
+      status = COALESCE($5, status), order_date = COALESCE($6, order_date),
+      pickup_slot_id = $7, customer_id = $8, fulfillment = $9, delivery_address = $10,
+      delivery_fee = $11, delivery_zone_id = $12, updated_at = NOW()
+    WHERE id = $13`,
+    [name, phone, total, payment, status, order_date, slotId, customerId,
+     delivery.fulfillment, delivery.address, delivery.fee, delivery.zoneId, id]
+  );
+
+  if (items) {
+    await client.query('DELETE FROM order_items WHERE order_id = $1', [id]);
+    await insertOrderItems(client, id, items);
+  }
+
+  // Pagamentos enviados junto (ex.: o saldo na hora de marcar pago) entram antes da conferência
+  const newStatus = status || existing.status;
+  const existingStatus = existing.status;
+  if (body.payments) await recordPayments(client, { id: existing.id, status: newStatus, total }, parsePayments(body.payments), user);
+  const updated = await getOrderWithItems(id, client);
+  // Só vira pago com o saldo quitado — vindo de pendente ou reaberto de cancelado
+  const becomesPaid = newStatus === 'paid' && existingStatus !== 'paid';
+  if (becomesPaid && updated.balance > 0.005)
+    throw httpError(409, 'Order has an outstanding balance', { balance: updated.balance });
+
+  // Estoque: devolve o que o pedido segurava e abate o que passa a segurar —
+  // cobre cancelamento, troca de itens e troca de data num só ajuste
+  const holdsStock = st => st !== 'cancelled';
+  const stockReason = !holdsStock(newStatus) ? 'cancel' : !holdsStock(existingStatus) ? 'reservation' : 'edit';
+  const changes = [
+    ...(holdsStock(existingStatus) ? stockChanges(existing.order_date, current, +1) : []),
+    ...(holdsStock(newStatus) ? stockChanges(updated.order_date, updated.items, -1) : [])
+  ];
+  await applyStockChanges(client, changes, { reason: stockReason, orderId: existing.id });
+  await offerWaitlist(client, changes);
+
+  await recordOrderEvent(client, existing.id, newStatus !== existingStatus ? 'status' : 'update', user,
+    before, updated);
+
+  if (becomesPaid || (newStatus === 'cancelled' && existingStatus === 'pending')) {
+    await client.query(`
+      INSERT INTO history (order_id, name, phone, total, payment, status, items_json, created_at, order_date)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+      [updated.id, updated.name, updated.phone, updated.total,
+       updated.payment, newStatus, JSON.stringify(updated.items),
+       existing.created_at, updated.order_date]
+    );
+  }
+
+  return updated;
+}
+
 app.put('/api/orders/:id', async (req, res) => {
-  const { name, phone, items, payment, status, order_date } = req.body;
-  const id = req.params.id;
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
-    const { rows } = await client.query('SELECT * FROM orders WHERE id = $1', [id]);
-    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
-    const existing = rows[0];
-    const total = items ? items.reduce((s, i) => s + i.subtotal, 0) : existing.total;
-
-    await client.query(`
-      UPDATE orders SET
-        name = COALESCE($1, name), phone = COALESCE($2, phone),
-        total = $3, payment = COALESCE($4, payment),
-        status = COALESCE($5, status), order_date = COALESCE($6, order_date),
-        updated_at = NOW()
-      WHERE id = $7`,
-      [name, phone, total, payment, status, order_date, id]
-    );
+    const updated = await updateOrder(client, req.params.id, req.body, req.user);
+    if (!updated) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    await client.query('COMMIT');
+    processOutbox();
+    res.json(updated);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
 
-    if (items) {
-      await client.query('DELETE FROM order_items WHERE order_id = $1', [id]);
-      for (const item of items) {
-        await client.query(
-          `INSERT INTO order_items (order_id, type, qty, price, subtotal) VALUES ($1,$2,$3,$4,$5)`,
-          [id, item.type, item.qty, item.price, item.subtotal]
-        );
-      }
-    }
+// Pesar e entregar: grava o peso entregue de cada item ao lado do reservado,
+// recalcula subtotais e total (mais a taxa de entrega) pelo preço da reserva, move a diferença no estoque
+// da data, recebe o saldo e marca o pedido como pago — numa transação só.
+// Body: { items: [{ id, delivered_qty }], payment?, payments? } — item omitido sai
+// como reservado; sem `payments`, o saldo todo é recebido na forma `payment`.
+app.post('/api/orders/:id/deliver', async (req, res) => {
+  const { items = [], payment, payments } = req.body;
+  if (!Array.isArray(items)) return res.status(400).json({ error: 'items must be an array' });
+  if (payment && !PAYMENT_METHODS.includes(payment))
+    return res.status(400).json({ error: `payment must be one of ${PAYMENT_METHODS.join(', ')}` });
 
-    const updated = await getOrderWithItems(id);
-    const newStatus = status || existing.status;
-    const existingStatus = existing.status;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    if (rows[0].status !== 'pending') throw httpError(409, 'Only pending orders can be delivered');
+    const before = await getOrderWithItems(rows[0].id, client);
 
-    if ((newStatus === 'paid' || newStatus === 'cancelled') && existingStatus === 'pending') {
-      await client.query(`
-        INSERT INTO history (order_id, name, phone, total, payment, status, items_json, created_at, order_date)
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
-        [updated.id, updated.name, updated.phone, updated.total,
-         updated.payment, newStatus, JSON.stringify(updated.items),
-         existing.created_at, updated.order_date]
-      );
-      // Cancelamento: devolve ao estoque
-      if (newStatus === 'cancelled') {
-        const meatQty    = updated.items.filter(i=>i.type==='meat').reduce((s,i)=>s+parseFloat(i.qty),0);
-        const ribsQty    = updated.items.filter(i=>i.type==='ribs').reduce((s,i)=>s+parseFloat(i.qty),0);
-        const chickenQty = updated.items.filter(i=>i.type==='chicken').reduce((s,i)=>s+parseFloat(i.qty),0);
-        if (meatQty || ribsQty || chickenQty) {
-          await client.query(`
-            UPDATE stock SET
-              meat    = meat + $1,
-              ribs    = ribs + $2,
-              chicken = chicken + $3,
-              updated_at = NOW()
-            WHERE sale_date = $4`,
-            [meatQty, ribsQty, chickenQty, updated.order_date]
-          );
-        }
-      }
+    const weights = new Map(items.map(i => [Number(i.id), i.delivered_qty]));
+    const unknown = [...weights.keys()].find(id => !before.items.some(i => i.id === id));
+    if (unknown !== undefined) throw httpError(400, `Item ${unknown} does not belong to this order`);
+    let total = 0;
+    for (const item of before.items) {
+      const delivered = weights.has(item.id) ? parseFloat(weights.get(item.id)) : parseFloat(item.qty);
+      if (!Number.isFinite(delivered) || delivered < 0) throw httpError(400, `Invalid delivered_qty for item ${item.id}`);
+      const qty = Math.round(delivered * 1000) / 1000;
+      const subtotal = Math.round(qty * parseFloat(item.price) * 100) / 100;
+      total += subtotal;
+      await client.query('UPDATE order_items SET delivered_qty = $1, subtotal = $2 WHERE id = $3', [qty, subtotal, item.id]);
     }
+    await client.query('UPDATE orders SET total = $1, delivered_at = NOW(), updated_at = NOW() WHERE id = $2',
+      [Math.round((total + before.delivery_fee) * 100) / 100, before.id]);
 
+    const weighed = await getOrderWithItems(before.id, client);
+    const changes = [
+      ...stockChanges(before.order_date, before.items, +1),
+      ...stockChanges(weighed.order_date, weighed.items, -1)
+    ];
+    // O que passar do saldo foi pesado no balcão: entra no livro em vez de barrar a entrega
+    await applyStockChanges(client, changes, { reason: 'delivery', orderId: before.id, coverShortfall: true });
+    await offerWaitlist(client, changes);
+    await recordOrderEvent(client, before.id, 'update', req.user, before, weighed);
+    const received = payments ?? (weighed.balance > 0 ? [{ method: payment || weighed.payment, amount: weighed.balance }] : []);
+    const updated = await updateOrder(client, before.id, { status: 'paid', payment, payments: received }, req.user);
     await client.query('COMMIT');
+    processOutbox();
     res.json(updated);
   } catch (e) {
     await client.query('ROLLBACK');
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
   } finally { client.release(); }
 });
 
-app.delete('/api/orders/:id', async (req, res) => {
+// Sinal ou pagamento parcial: { method, amount, note? }. O pedido segue pendente;
+// vira pago pelo PUT (status: 'paid') ou na entrega, quando o saldo zera.
+app.post('/api/orders/:id/payments', async (req, res) => {
+  const client = await pool.connect();
   try {
-    const { rowCount } = await pool.query('DELETE FROM orders WHERE id = $1', [req.params.id]);
-    if (!rowCount) return res.status(404).json({ error: 'Not found' });
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    const before = await getOrderWithItems(rows[0].id, client);
+    await recordPayments(client, rows[0], parsePayments([req.body]), req.user);
+    const after = await getOrderWithItems(before.id, client);
+    await recordOrderEvent(client, before.id, 'update', req.user, before, after);
+    await client.query('COMMIT');
+    res.status(201).json(after);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// Estorno de um lançamento errado — só enquanto o pedido está pendente
+app.delete('/api/orders/:id/payments/:paymentId', requireRole('owner'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    if (rows[0].status !== 'pending') throw httpError(409, 'Payments can only be removed from pending orders');
+    const before = await getOrderWithItems(rows[0].id, client);
+    const { rowCount } = await client.query(
+      'DELETE FROM payments WHERE id = $1 AND order_id = $2', [req.params.paymentId, before.id]
+    );
+    if (!rowCount) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Payment not found' }); }
+    const after = await getOrderWithItems(before.id, client);
+    await recordOrderEvent(client, before.id, 'update', req.user, before, after);
+    await client.query('COMMIT');
+    res.json(after);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+app.delete('/api/orders/:id', requireRole('owner'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    const order = await getOrderWithItems(rows[0].id, client);
+    // Pedido cancelado já devolveu o estoque
+    if (order.status !== 'cancelled') {
+      const changes = stockChanges(order.order_date, order.items, +1);
+      await applyStockChanges(client, changes, { reason: 'delete', orderId: order.id });
+      await offerWaitlist(client, changes);
+    }
+    await recordOrderEvent(client, order.id, 'delete', req.user, order, null);
+    await client.query('DELETE FROM orders WHERE id = $1', [order.id]);
+    await client.query('COMMIT');
+    processOutbox();
     res.json({ success: true });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// Trilha de auditoria — continua disponível depois que o pedido é removido
+app.get('/api/orders/:id/events', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, order_id, action, actor, changes, created_at FROM order_events WHERE order_id = $1 ORDER BY id',
+      [req.params.id]
+    );
+    res.json(rows);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ROUTES: CUSTOMERS ────────────────────────────────────────────────────────
+// Totais consideram só pedidos pagos; last_purchase = data do último pedido pago
+const CUSTOMER_STATS = `
+  COUNT(o.id) FILTER (WHERE o.status != 'cancelled')             AS order_count,
+  COALESCE(SUM(o.total) FILTER (WHERE o.status = 'paid'), 0)     AS total_spent,
+  MAX(o.order_date) FILTER (WHERE o.status = 'paid')             AS last_purchase`;
+// Bloqueio da reserva online (lista de bloqueio), junto com os totais
+const CUSTOMER_BLOCK = `(SELECT to_jsonb(b) FROM phone_blocks b WHERE b.phone = c.phone) AS block`;
+
+function formatCustomer(c) {
+  return {
+    ...c,
+    order_count: Number(c.order_count),
+    total_spent: parseFloat(c.total_spent),
+    last_purchase: c.last_purchase ? isoDate(c.last_purchase) : null
+  };
+}
+
+// Busca por nome ou telefone (?q=); sem q, os clientes que mais compraram
+app.get('/api/customers', async (req, res) => {
+  const q = String(req.query.q || '').trim();
+  const digits = normalizePhone(q);
+  try {
+    const { rows } = await pool.query(`
+      SELECT c.*, ${CUSTOMER_STATS}, ${CUSTOMER_BLOCK}
+      FROM customers c LEFT JOIN orders o ON o.customer_id = c.id
+      WHERE $1 = '' OR c.name ILIKE '%' || $1 || '%' OR ($2 != '' AND c.phone LIKE '%' || $2 || '%')
+      GROUP BY c.id
+      ORDER BY total_spent DESC, c.name
+      LIMIT 50`, [q, digits]);
+    res.json(rows.map(formatCustomer));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/customers/:id', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT c.*, ${CUSTOMER_STATS}, ${CUSTOMER_BLOCK}
+      FROM customers c LEFT JOIN orders o ON o.customer_id = c.id
+      WHERE c.id = $1 GROUP BY c.id`, [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Customer not found' });
+    const { rows: orders } = await pool.query(
+      `SELECT ${ORDER_COLUMNS} FROM ${ORDER_FROM} WHERE o.customer_id = $1 ORDER BY o.order_date DESC, o.id DESC`, [req.params.id]
+    );
+    await attachOrderItems(orders);
+    res.json({ ...formatCustomer(rows[0]), orders });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Corrige nome e observações do cadastro (o telefone é a chave)
+app.put('/api/customers/:id', async (req, res) => {
+  const { name, notes } = req.body;
+  if (name != null && !String(name).trim()) return res.status(400).json({ error: 'name cannot be empty' });
+  try {
+    const { rows } = await pool.query(`
+      UPDATE customers SET name = COALESCE($1, name), notes = COALESCE($2, notes), updated_at = NOW()
+      WHERE id = $3 RETURNING *`,
+      [name != null ? String(name).trim() : null, notes ?? null, req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Customer not found' });
+    res.json(rows[0]);
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // ─── ROUTES: HISTORY ─────────────────────────────────────────────────────────
+// Linhas antigas do histórico não têm order_date: vale o dia do registro
+const HISTORY_DATE = 'COALESCE(h.order_date, h.created_at::date)';
+const HISTORY_SORTS = {
+  id: [],
+  order_date: [HISTORY_DATE],
+  resolved_at: ['h.resolved_at'],
+  name: ['h.name'],
+  total: ['h.total']
+};
+
+// Página do histórico + totais de cada dia da página (sobre todo o filtro, não só
+// as linhas carregadas — o painel agrupa por dia e mostra a receita)
 app.get('/api/history', async (req, res) => {
   try {
-    const { rows } = await pool.query('SELECT * FROM history ORDER BY id DESC');
-    res.json(rows.map(r => ({
+    const p = listParams(req, res, {
+      table: 'h', dateColumn: HISTORY_DATE, statuses: ['paid', 'cancelled'],
+      sorts: HISTORY_SORTS, defaultSort: 'order_date', defaultDir: 'desc'
+    });
+    if (!p) return;
+    const { rows: [{ total }] } = await pool.query(`SELECT COUNT(*) AS total FROM history h ${p.where}`, p.params);
+    const { rows } = await pool.query(`
+      SELECT h.*, ${HISTORY_DATE} AS order_date FROM history h ${p.where}
+      ORDER BY ${p.orderBy} LIMIT ${p.limit} OFFSET ${p.offset}`, p.params);
+    const history = rows.map(r => ({
       ...r,
       items: JSON.parse(r.items_json),
       created_at: r.created_at?.toLocaleString('pt-BR'),
       resolved_at: r.resolved_at?.toLocaleString('pt-BR'),
-      order_date: r.order_date?.toISOString().split('T')[0]
-    })));
+      order_date: isoDate(r.order_date)
+    }));
+    const { rows: dayRows } = await pool.query(`
+      SELECT ${HISTORY_DATE} AS day, COUNT(*) AS count,
+             COALESCE(SUM(h.total) FILTER (WHERE h.status = 'paid'), 0) AS revenue
+      FROM history h ${p.where ? `${p.where} AND` : 'WHERE'} ${HISTORY_DATE} = ANY($${p.params.length + 1})
+      GROUP BY day`, [...p.params, [...new Set(history.map(h => h.order_date))]]);
+    const days = Object.fromEntries(dayRows.map(d =>
+      [isoDate(d.day), { count: Number(d.count), revenue: parseFloat(d.revenue) }]));
+    res.json({ history, total: Number(total), limit: p.limit, offset: p.offset, days });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // ─── ROUTES: STATS ────────────────────────────────────────────────────────────
+// Fonte única das estatísticas: pedidos resolvidos vêm do `history` (o retrato
+// no momento do pagamento/cancelamento, que sobrevive à remoção do pedido) e os
+// em aberto vêm de `orders`. `key` liga cada pedido às suas linhas de itens e
+// aos pagamentos (`paid`) — histórico antigo sem order_id conta o total na forma do pedido.
+const STATS_SOURCE = `
+  WITH open_orders AS (SELECT id FROM orders WHERE status = 'pending'),
+  resolved AS (
+    SELECT DISTINCT ON (COALESCE(order_id, -id)) * FROM history
+    ORDER BY COALESCE(order_id, -id), id DESC
+  ),
+  facts AS (
+    SELECT 'o' || o.id AS key, o.id AS order_id, o.order_date AS day, o.status, o.total, o.payment
+    FROM orders o WHERE o.status = 'pending'
+    UNION ALL
+    SELECT 'h' || h.id, h.order_id, COALESCE(h.order_date, h.created_at::date), h.status, h.total, h.payment
+    FROM resolved h WHERE h.order_id IS NULL OR h.order_id NOT IN (SELECT id FROM open_orders)
+  ),
+  paid AS (
+    SELECT f.key, pm.method, pm.amount FROM facts f JOIN payments pm ON pm.order_id = f.order_id
+    UNION ALL
+    SELECT f.key, f.payment, f.total FROM facts f WHERE f.order_id IS NULL AND f.status = 'paid'
+  ),
+  lines AS (
+    SELECT 'o' || oi.order_id AS key, oi.type, COALESCE(oi.delivered_qty, oi.qty) AS qty, oi.subtotal,
+           oi.qty AS reserved_qty, oi.delivered_qty, oi.price
+    FROM order_items oi JOIN open_orders oo ON oo.id = oi.order_id
+    UNION ALL
+    SELECT 'h' || h.id, e->>'type', COALESCE((e->>'delivered_qty')::numeric, (e->>'qty')::numeric),
+           COALESCE((e->>'subtotal')::numeric, 0),
+           (e->>'qty')::numeric, (e->>'delivered_qty')::numeric, (e->>'price')::numeric
+    FROM resolved h, json_array_elements(h.items_json::json) e
+  )`;
+
+// Reservado × entregue dos itens pesados na retirada, por produto.
+// value = quanto a pesagem somou (ou tirou) da receita em relação ao reservado.
+async function weighingVariance(from, to, product = null) {
+  const { rows } = await pool.query(`${STATS_SOURCE}
+    SELECT l.type AS product, COALESCE(p.name, l.type) AS name, COALESCE(p.unit, 'kg') AS unit,
+           COUNT(DISTINCT l.key) AS orders, SUM(l.reserved_qty) AS reserved, SUM(l.delivered_qty) AS delivered,
+           SUM(l.subtotal - ROUND(l.reserved_qty * l.price, 2)) AS value
+    FROM lines l JOIN facts f ON f.key = l.key
+    LEFT JOIN products p ON p.code = l.type
+    WHERE f.day BETWEEN $1 AND $2 AND f.status != 'cancelled' AND l.delivered_qty IS NOT NULL
+      AND ($3::text IS NULL OR l.type = $3)
+    GROUP BY l.type, p.name, p.unit, p.sort_order ORDER BY p.sort_order`, [from, to, product]);
+  return rows.map(r => {
+    const reserved = Math.round(parseFloat(r.reserved) * 1000) / 1000;
+    const delivered = Math.round(parseFloat(r.delivered) * 1000) / 1000;
+    return {
+      product: r.product, name: r.name, unit: r.unit, orders: Number(r.orders), reserved, delivered,
+      variance: Math.round((delivered - reserved) * 1000) / 1000,
+      variance_pct: reserved ? Math.round((delivered - reserved) / reserved * 10000) / 10000 : 0,
+      value: Math.round(parseFloat(r.value) * 100) / 100
+    };
+  });
+}
+
+const STATS_GROUPS = ['day', 'week', 'month'];
+
+// payments = recebido por forma nos pedidos pagos; deposits = sinais já recebidos
+// de reservas ainda pendentes
+function emptyBucket(period) {
+  return { period, orders: 0, paid: 0, pending: 0, cancelled: 0, revenue: 0, deposits: 0, payments: {}, products: {} };
+}
+
+// Taxas e médias calculadas depois de somar (valem para cada período e para o total)
+function finishBucket(b) {
+  const all = b.orders + b.cancelled;
+  return {
+    ...b,
+    revenue: Math.round(b.revenue * 100) / 100,
+    deposits: Math.round(b.deposits * 100) / 100,
+    payments: Object.fromEntries(Object.entries(b.payments).map(([k, v]) => [k, Math.round(v * 100) / 100])),
+    cancellation_rate: all ? Math.round(b.cancelled / all * 10000) / 10000 : 0,
+    avg_ticket: b.paid ? Math.round(b.revenue / b.paid * 100) / 100 : 0
+  };
+}
+
+// GET /api/stats?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|week|month&product=code
+// Com `product`, contam só os pedidos que têm o produto e a receita é a dos itens dele;
+// os pagamentos de cada pedido entram na proporção dos itens do produto no total.
 app.get('/api/stats', async (req, res) => {
+  const from = String(req.query.from || '2000-01-01');
+  const to = String(req.query.to || '2099-12-31');
+  const groupBy = req.query.groupBy || 'month';
+  const product = req.query.product || null;
+  if (![from, to].every(isIsoDate))
+    return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+  if (!STATS_GROUPS.includes(groupBy))
+    return res.status(400).json({ error: `groupBy must be one of ${STATS_GROUPS.join(', ')}` });
+
   try {
-    const totalOrders = (await pool.query(`SELECT COUNT(*) as c FROM orders`)).rows[0].c;
-    const paid        = (await pool.query(`SELECT COUNT(*) as c FROM orders WHERE status='paid'`)).rows[0].c;
-    const pending     = (await pool.query(`SELECT COUNT(*) as c FROM orders WHERE status='pending'`)).rows[0].c;
-    const cancelled   = (await pool.query(`SELECT COUNT(*) as c FROM orders WHERE status='cancelled'`)).rows[0].c;
-    const revenue     = (await pool.query(`SELECT COALESCE(SUM(total),0) as s FROM orders WHERE status='paid'`)).rows[0].s;
-    const itemTotals  = (await pool.query(`
-      SELECT oi.type, SUM(oi.qty) as qty FROM order_items oi
-      JOIN orders o ON o.id = oi.order_id WHERE o.status != 'cancelled' GROUP BY oi.type
-    `)).rows;
-    const payTotals   = (await pool.query(`
-      SELECT payment, COALESCE(SUM(total),0) as total FROM orders WHERE status='paid' GROUP BY payment
-    `)).rows;
-    res.json({ totalOrders, paid, pending, cancelled, revenue, itemTotals, payTotals });
-  } catch (e) { res.status(500).json({ error: e.message }); }
-});
+    const period = `to_char(date_trunc($3, f.day::timestamp), 'YYYY-MM-DD')`;
+    const params = [from, to, groupBy, product];
+    const { rows: orderRows } = await pool.query(`${STATS_SOURCE}
+      SELECT ${period} AS period, f.status, COUNT(*) AS n, SUM(f.total) AS total
+      FROM facts f
+      WHERE f.day BETWEEN $1 AND $2
+        AND ($4::text IS NULL OR f.key IN (SELECT key FROM lines WHERE type = $4))
+      GROUP BY 1, 2`, params);
+    const { rows: lineRows } = await pool.query(`${STATS_SOURCE}
+      SELECT ${period} AS period, l.type, f.status, SUM(l.qty) AS qty, SUM(l.subtotal) AS subtotal
+      FROM lines l JOIN facts f ON f.key = l.key
+      WHERE f.day BETWEEN $1 AND $2 AND f.status != 'cancelled'
+        AND ($4::text IS NULL OR l.type = $4)
+      GROUP BY 1, 2, 3`, params);
+    const { rows: payRows } = await pool.query(`${STATS_SOURCE}
+      SELECT ${period} AS period, f.status, p.method,
+             SUM(CASE WHEN $4::text IS NULL THEN p.amount
+                      ELSE p.amount * COALESCE(s.subtotal / NULLIF(f.total, 0), 0) END) AS amount
+      FROM paid p JOIN facts f ON f.key = p.key
+      LEFT JOIN (SELECT key, SUM(subtotal) AS subtotal FROM lines WHERE type = $4 GROUP BY key) s ON s.key = f.key
+      WHERE f.day BETWEEN $1 AND $2 AND f.status IN ('paid', 'pending')
+        AND ($4::text IS NULL OR s.key IS NOT NULL)
+      GROUP BY 1, 2, 3`, params);
 
-// ─── WHATSAPP ─────────────────────────────────────────────────────────────────
-async function buildDailySummary(date) {
-  const today = date || new Date().toISOString().split('T')[0];
-  const { rows: orders } = await pool.query(
-    `SELECT * FROM orders WHERE order_date = $1 AND status != 'cancelled'`, [today]
-  );
-  if (!orders.length) return null;
+    const buckets = {};
+    const { period: _, ...totals } = emptyBucket(null);
+    const bucket = p => (buckets[p] = buckets[p] || emptyBucket(p));
+    const add = (b, key, sub, v) => { b[key][sub] = (b[key][sub] || 0) + v; };
 
-  const paid    = orders.filter(o => o.status === 'paid');
-  const pending = orders.filter(o => o.status === 'pending');
-  const revenue = paid.reduce((s, o) => s + parseFloat(o.total), 0);
+    for (const r of orderRows) {
+      for (const b of [bucket(r.period), totals]) {
+        const n = Number(r.n);
+        if (r.status !== 'cancelled') b.orders += n;
+        b[r.status] = (b[r.status] || 0) + n;
+        if (r.status === 'paid' && !product) b.revenue += parseFloat(r.total);
+      }
+    }
+    const productRevenue = {};
+    for (const r of lineRows) {
+      for (const b of [bucket(r.period), totals]) add(b, 'products', r.type, parseFloat(r.qty));
+      if (r.status !== 'paid') continue;
+      productRevenue[r.type] = (productRevenue[r.type] || 0) + parseFloat(r.subtotal);
+      if (product) {
+        for (const b of [bucket(r.period), totals]) b.revenue += parseFloat(r.subtotal);
+      }
+    }
+    for (const r of payRows) {
+      for (const b of [bucket(r.period), totals]) {
+        if (r.status === 'paid') add(b, 'payments', r.method, parseFloat(r.amount));
+        else b.deposits += parseFloat(r.amount);
+      }
+    }
 
-  const { rows: items } = await pool.query(`
-    SELECT oi.type, SUM(oi.qty) as qty FROM order_items oi
-    JOIN orders o ON o.id = oi.order_id
-    WHERE o.order_date = $1 AND o.status != 'cancelled' GROUP BY oi.type`, [today]
-  );
+    const catalog = await getProducts();
+    const rank = code => { const i = catalog.findIndex(p => p.code === code); return i < 0 ? catalog.length : i; };
+    const products = Object.keys(totals.products).sort((a, b) => rank(a) - rank(b)).map(code => {
+      const p = catalog.find(c => c.code === code);
+      return {
+        product: code, name: p?.name || code, unit: p?.unit || 'kg',
+        qty: totals.products[code], revenue: Math.round((productRevenue[code] || 0) * 100) / 100
+      };
+    });
 
-  const meatQty    = items.filter(i => i.type === 'meat' || i.type === 'ribs').reduce((s, i) => s + parseFloat(i.qty), 0);
-  const chickenQty = items.find(i => i.type === 'chicken')?.qty || 0;
-  const fmt = n => 'R$ ' + parseFloat(n).toFixed(2).replace('.', ',');
-  const dateBR = new Date(today + 'T12:00:00').toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' });
+    res.json({
+      from, to, groupBy, product,
+      weighing: await weighingVariance(from, to, product),
+      totals: { ...finishBucket(totals), products },
+      series: Object.keys(buckets).sort().map(p => finishBucket(buckets[p]))
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-  return [
-    `🥩 *Biazzi Empório da Carne*`,
-    `📅 Resumo de ${dateBR}`,
+// ─── NOTIFICAÇÕES (OUTBOX) ────────────────────────────────────────────────────
+// Toda mensagem entra na tabela notifications e um worker entrega pelo provedor
+// configurado em NOTIFY_PROVIDER, com novas tentativas e backoff exponencial.
+// Falhas definitivas ficam visíveis no painel para reenvio.
+const NOTIFY_MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS || '5', 10);
+const NOTIFY_BACKOFF_SECONDS = 30;       // 30s, 2min, 8min, 32min...
+const NOTIFY_BACKOFF_MAX_SECONDS = 7200;
+
+async function notifyFetch(url, options = {}) {
+  const { default: fetch } = await import('node-fetch');
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), 15000);
+  try {
+    const res = await fetch(url, { ...options, signal: controller.signal });
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    return res;
+  } finally { clearTimeout(timer); }
+}
+
+// Cada provedor: configured() e send({ to, message, notification }), que lança em caso de falha.
+// customers: false quando o provedor não consegue falar com números arbitrários.
+const fakeNotifications = [];
+const NOTIFY_PROVIDERS = {
+  // CallMeBot exige que cada destinatário ative o serviço — serve só para o dono
+  callmebot: {
+    customers: false,
+    configured: () => Boolean(process.env.CALLMEBOT_APIKEY),
+    send: async ({ to, message }) => {
+      await notifyFetch(`https://api.callmebot.com/whatsapp.php?phone=${to}&text=${encodeURIComponent(message)}&apikey=${process.env.CALLMEBOT_APIKEY}`);
+    }
+  },
+  // API de mensagens no formato da WhatsApp Cloud API (Meta ou compatível)
+  cloud: {
+    customers: true,
+    configured: () => Boolean(process.env.WHATSAPP_CLOUD_TOKEN && process.env.WHATSAPP_CLOUD_PHONE_ID),
+    send: async ({ to, message }) => {
+      const base = process.env.WHATSAPP_CLOUD_URL || 'https://graph.facebook.com/v20.0';
+      await notifyFetch(`${base}/${process.env.WHATSAPP_CLOUD_PHONE_ID}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${process.env.WHATSAPP_CLOUD_TOKEN}` },
+        body: JSON.stringify({ messaging_product: 'whatsapp', to, type: 'text', text: { body: message } })
+      });
+    }
+  },
+  // POST JSON genérico (n8n, Zapier, gateway próprio), assinado como o webhook do Pix
+  webhook: {
+    customers: true,
+    configured: () => Boolean(process.env.NOTIFY_WEBHOOK_URL),
+    send: async ({ to, message, notification }) => {
+      const body = JSON.stringify({ id: notification.id, kind: notification.kind, order_id: notification.order_id, to, message });
+      const headers = { 'Content-Type': 'application/json' };
+      if (process.env.NOTIFY_WEBHOOK_SECRET)
+        headers['x-notify-signature'] = crypto.createHmac('sha256', process.env.NOTIFY_WEBHOOK_SECRET).update(body).digest('hex');
+      await notifyFetch(process.env.NOTIFY_WEBHOOK_URL, { method: 'POST', headers, body });
+    }
+  },
+  // Provedor local para desenvolvimento e testes: guarda em memória e loga.
+  // NOTIFY_FAKE_FAIL=1 faz todo envio falhar, para exercitar as novas tentativas.
+  fake: {
+    customers: true,
+    configured: () => true,
+    send: async ({ to, message, notification }) => {
+      if (process.env.NOTIFY_FAKE_FAIL === '1') throw new Error('fake provider failure');
+      fakeNotifications.push({ id: notification.id, to, message, sent_at: new Date() });
+      console.log(`[Notificações] (fake) → ${to}: ${message.split('\n')[0]}`);
+    }
+  }
+};
+
+const NOTIFY_PROVIDER = process.env.NOTIFY_PROVIDER || 'callmebot';
+const notifier = NOTIFY_PROVIDERS[NOTIFY_PROVIDER];
+if (!notifier) throw new Error(`NOTIFY_PROVIDER must be one of ${Object.keys(NOTIFY_PROVIDERS).join(', ')}`);
+
+// Formato: DDI + DDD + número (ex: 5541999998888)
+function whatsappNumber(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!digits) return null;
+  return digits.startsWith('55') && digits.length > 11 ? digits : '55' + digits;
+}
+
+// Grava a mensagem na fila (de preferência na mesma transação do pedido).
+// Devolve o id, ou null quando não há como entregar.
+async function enqueueNotification(db, { kind, to, message, orderId = null, customer = false }) {
+  const recipient = whatsappNumber(to);
+  if (!recipient || !notifier.configured() || (customer && !notifier.customers)) {
+    console.log(`[Notificações] ${kind} não enfileirada — provedor ${NOTIFY_PROVIDER} sem configuração ou destinatário.`);
+    return null;
+  }
+  const { rows: [row] } = await db.query(
+    'INSERT INTO notifications (kind, recipient, message, order_id) VALUES ($1, $2, $3, $4) RETURNING id',
+    [kind, recipient, message, orderId]
+  );
+  return row.id;
+}
+
+const notifyOwner = (db, kind, message, orderId = null) =>
+  enqueueNotification(db, { kind, to: process.env.WHATSAPP_PHONE, message, orderId });
+
+const notifyCustomer = (db, phone, kind, message, orderId = null) =>
+  enqueueNotification(db, { kind, to: phone, message, orderId, customer: true });
+
+// CallMeBot (padrão) só fala com o dono: sem isso não há como avisar o cliente
+const canNotifyCustomers = () => notifier.configured() && notifier.customers;
+
+async function deliverNotification(n) {
+  try {
+    await notifier.send({ to: n.recipient, message: n.message, notification: n });
+    await pool.query(
+      `UPDATE notifications SET status = 'sent', provider = $2, attempts = attempts + 1, sent_at = NOW(), last_error = NULL
+       WHERE id = $1`, [n.id, NOTIFY_PROVIDER]
+    );
+    console.log(`[Notificações] #${n.id} ${n.kind} enviada para ${n.recipient}`);
+  } catch (e) {
+    const attempts = n.attempts + 1;
+    const failed = attempts >= NOTIFY_MAX_ATTEMPTS;
+    const delay = Math.min(NOTIFY_BACKOFF_SECONDS * 4 ** (attempts - 1), NOTIFY_BACKOFF_MAX_SECONDS);
+    await pool.query(
+      `UPDATE notifications SET status = $2, provider = $3, attempts = $4, last_error = $5,
+         next_attempt_at = NOW() + make_interval(secs => $6)
+       WHERE id = $1`,
+      [n.id, failed ? 'failed' : 'pending', NOTIFY_PROVIDER, attempts, e.message, delay]
+    );
+    console.error(`[Notificações] #${n.id} falhou (tentativa ${attempts}/${NOTIFY_MAX_ATTEMPTS}):`, e.message);
+  }
+}
+
+// Entrega o que estiver vencido. SKIP LOCKED evita envio duplo se houver mais de uma instância.
+let outboxRunning = false;
+async function processOutbox() {
+  if (outboxRunning) return;
+  outboxRunning = true;
+  try {
+    const { rows } = await pool.query(`
+      UPDATE notifications SET status = 'sending'
+      WHERE id IN (
+        SELECT id FROM notifications
+        WHERE status = 'pending' AND next_attempt_at <= NOW()
+        ORDER BY next_attempt_at, id LIMIT 20
+        FOR UPDATE SKIP LOCKED
+      ) RETURNING *`);
+    for (const n of rows) await deliverNotification(n);
+  } catch (e) {
+    console.error('[Notificações] Erro no processamento da fila:', e.message);
+  } finally { outboxRunning = false; }
+}
+
+app.get('/api/notifications', async (req, res) => {
+  const { status } = req.query;
+  const limit = Math.min(parseInt(req.query.limit || '100', 10) || 100, 500);
+  try {
+    const { rows } = await pool.query(
+      `SELECT * FROM notifications WHERE ($1::text IS NULL OR status = $1) ORDER BY id DESC LIMIT $2`,
+      [status || null, limit]
+    );
+    const { rows: counts } = await pool.query('SELECT status, COUNT(*)::int AS n FROM notifications GROUP BY status');
+    res.json({
+      provider: NOTIFY_PROVIDER,
+      configured: notifier.configured(),
+      counts: Object.fromEntries(counts.map(c => [c.status, c.n])),
+      notifications: rows
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Reenvio manual: volta para a fila zerando as tentativas e tenta na hora
+app.post('/api/notifications/:id/resend', async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      `UPDATE notifications SET status = 'pending', attempts = 0, next_attempt_at = NOW()
+       WHERE id = $1 AND status IN ('failed', 'sent') RETURNING id`, [req.params.id]
+    );
+    if (!rows.length) {
+      const { rowCount } = await pool.query('SELECT 1 FROM notifications WHERE id = $1', [req.params.id]);
+      return res.status(rowCount ? 409 : 404).json({ error: rowCount ? 'Notification is already queued' : 'Not found' });
+    }
+    await processOutbox();
+    const { rows: [n] } = await pool.query('SELECT * FROM notifications WHERE id = $1', [req.params.id]);
+    res.json(n);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── WHATSAPP ─────────────────────────────────────────────────────────────────
+// Resumo de um dia (from = to) ou de um período, usado pelo envio manual e pelos agendamentos
+async function buildSummary(from, to = from) {
+  const { rows: orders } = await pool.query(
+    `SELECT * FROM orders WHERE order_date BETWEEN $1 AND $2 AND status != 'cancelled'`, [from, to]
+  );
+  if (!orders.length) return null;
+
+  const paid    = orders.filter(o => o.status === 'paid');
+  const pending = orders.filter(o => o.status === 'pending');
+  const revenue = paid.reduce((s, o) => s + parseFloat(o.total), 0);
+
+  const { rows: items } = await pool.query(`
+    SELECT COALESCE(p.name, oi.type) AS name, p.unit, SUM(COALESCE(oi.delivered_qty, oi.qty)) as qty FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    LEFT JOIN products p ON p.code = oi.type
+    WHERE o.order_date BETWEEN $1 AND $2 AND o.status != 'cancelled'
+    GROUP BY oi.type, p.name, p.unit, p.sort_order ORDER BY p.sort_order`, [from, to]
+  );
+  const weighing = await weighingVariance(from, to);
+
+  const fmtQty = i => i.unit === 'un'
+    ? `${parseFloat(i.qty).toFixed(0)} unidades`
+    : `${parseFloat(i.qty).toFixed(2)} kg`;
+  const fmt = n => 'R$ ' + parseFloat(n).toFixed(2).replace('.', ',');
+  const signed = (n, text) => `${n > 0 ? '+' : n < 0 ? '−' : ''}${text(Math.abs(n))}`;
+  const dayBR = (d, opts) => new Date(d + 'T12:00:00').toLocaleDateString('pt-BR', opts);
+  const period = from === to
+    ? `Resumo de ${dayBR(from, { weekday: 'long', day: '2-digit', month: '2-digit', year: 'numeric' })}`
+    : `Resumo de ${dayBR(from, { day: '2-digit', month: '2-digit' })} a ${dayBR(to, { day: '2-digit', month: '2-digit', year: 'numeric' })}`;
+
+  return [
+    `🥩 *Biazzi Empório da Carne*`,
+    `📅 ${period}`,
     ``,
     `📦 *Pedidos*`,
     `  • Total: ${orders.length}`,
@@ -303,102 +1305,1381 @@ async function buildDailySummary(date) {
     pending.length > 0 ? `  • Pendentes: ${pending.length}` : null,
     ``,
     `🍖 *Produtos Vendidos*`,
-    meatQty > 0    ? `  • 🥩 Carne & Costela: ${meatQty.toFixed(2)} kg` : null,
-    chickenQty > 0 ? `  • 🍗 Frango Assado: ${parseFloat(chickenQty).toFixed(0)} unidades` : null,
+    ...items.filter(i => parseFloat(i.qty) > 0).map(i => `  • ${i.name}: ${fmtQty(i)}`),
     ``,
-    `💰 *Receita do Dia: ${fmt(revenue)}*`,
+    ...(weighing.length ? [
+      `⚖️ *Pesagem (reservado → entregue)*`,
+      ...weighing.map(w =>
+        `  • ${w.name}: ${fmtQty({ ...w, qty: w.reserved })} → ${fmtQty({ ...w, qty: w.delivered })} (${signed(w.variance, v => fmtQty({ ...w, qty: v }))}, ${signed(w.value, fmt)})`),
+      ``
+    ] : []),
+    `💰 *Receita ${from === to ? 'do Dia' : 'do Período'}: ${fmt(revenue)}*`,
     ``,
     `_Enviado automaticamente pelo app Biazzi_`
   ].filter(l => l !== null).join('\n');
 }
 
-async function sendWhatsApp(message) {
-  const phone  = process.env.WHATSAPP_PHONE;
-  const apiKey = process.env.CALLMEBOT_APIKEY;
-  if (!phone || !apiKey) {
-    console.log('[WhatsApp] Variáveis não configuradas — resumo não enviado.');
-    return false;
+app.post('/api/whatsapp/send-summary', requireRole('owner'), async (req, res) => {
+  const date = req.body?.date || new Date().toISOString().split('T')[0];
+  const msg  = await buildSummary(date);
+  if (!msg) return res.json({ success: false, message: 'Nenhum pedido encontrado para essa data.' });
+  try {
+    const id = await notifyOwner(pool, 'daily_summary', msg);
+    if (!id) return res.json({ success: false, message: 'WhatsApp não configurado.', preview: msg });
+    await processOutbox();
+    const { rows: [n] } = await pool.query('SELECT status, last_error FROM notifications WHERE id = $1', [id]);
+    res.json({ success: n.status === 'sent', queued: n.status !== 'sent', message: n.last_error, preview: msg });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/whatsapp/preview', async (req, res) => {
+  const date = req.query.date || new Date().toISOString().split('T')[0];
+  const msg  = await buildSummary(date);
+  res.json({ date, preview: msg || 'Nenhum pedido para essa data.' });
+});
+
+// ─── AGENDAMENTOS ─────────────────────────────────────────────────────────────
+// Rotinas configuráveis no painel (tabela schedules). Cada execução fica em
+// schedule_runs com o resultado e quantas mensagens foram para a fila.
+const SCHEDULE_TZ = process.env.TZ || 'America/Sao_Paulo';
+const SCHEDULE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Data local (no fuso dos agendamentos) deslocada em dias
+function localDate(offsetDays = 0) {
+  return new Date(Date.now() + offsetDays * 86400000).toLocaleDateString('en-CA', { timeZone: SCHEDULE_TZ });
+}
+
+async function runSummaryJob(from, to) {
+  const msg = await buildSummary(from, to);
+  if (!msg) return { status: 'skipped', sent: 0, detail: 'Nenhum pedido no período.' };
+  const id = await notifyOwner(pool, 'summary', msg);
+  return id ? { status: 'ok', sent: 1, detail: `${from} a ${to}` } : { status: 'skipped', sent: 0, detail: 'WhatsApp não configurado.' };
+}
+
+// Lembrete na véspera para cada pedido pendente do dia seguinte (uma vez por pedido)
+async function runPickupReminders() {
+  const date = localDate(1);
+  const { rows } = await pool.query(`
+    SELECT ${ORDER_COLUMNS}, o.total - (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.order_id = o.id) AS balance
+    FROM ${ORDER_FROM}
+    WHERE o.order_date = $1 AND o.status = 'pending'
+      AND NOT EXISTS (SELECT 1 FROM notifications n WHERE n.order_id = o.id AND n.kind = 'pickup_reminder')
+    ORDER BY o.id`, [date]);
+  let sent = 0;
+  for (const o of rows) {
+    const { rows: items } = await pool.query('SELECT * FROM order_items WHERE order_id = $1 ORDER BY id', [o.id]);
+    const pickup = slotLabel(o.pickup_start, o.pickup_end);
+    const msg = [
+      `⏰ *Lembrete da sua reserva*`,
+      ``,
+      `Olá, *${o.name}*! Amanhã é dia de ${o.fulfillment === 'delivery' ? 'receber seu pedido do' : 'retirar seu pedido no'}`,
+      `🥩 *Biazzi Empório da Carne*.`,
+      ``,
+      `📅 *Data:* ${new Date(date + 'T12:00:00').toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit' })}`,
+      ...(pickup ? [`🕐 *Retirada:* ${pickup}`] : []),
+      `📦 *Itens:*`,
+      ...items.map(i => `  • ${i.name || i.type}: ${parseFloat(i.qty)} ${i.unit || ''}`.trimEnd()),
+      ...deliveryMessageLines(o),
+      `💰 *Total:* R$ ${parseFloat(o.total).toFixed(2).replace('.', ',')}`,
+      ...(o.pix_status === 'pending' ? [`⚡ *Pix (copia e cola):*`, pixInfo(o).payload] : []),
+      ``,
+      `_Até amanhã! 🙌_`
+    ].join('\n');
+    if (await notifyCustomer(pool, o.phone, 'pickup_reminder', msg, o.id)) sent++;
   }
-  const url = `https://api.callmebot.com/whatsapp.php?phone=${phone}&text=${encodeURIComponent(message)}&apikey=${apiKey}`;
+  if (!rows.length) return { status: 'skipped', sent: 0, detail: `Nenhum pedido pendente para ${date}.` };
+  return { status: 'ok', sent, detail: `${sent} de ${rows.length} pedido(s) para ${date}` };
+}
+
+// Semanal: últimos 7 dias até hoje. Mensal: do dia 1º até ontem — agendado
+// no dia 1º, cobre o mês anterior inteiro.
+const SCHEDULE_JOBS = {
+  summary_day:     { label: 'Resumo do dia',          run: () => runSummaryJob(localDate(), localDate()) },
+  summary_week:    { label: 'Resumo da semana',       run: () => runSummaryJob(localDate(-6), localDate()) },
+  summary_month:   { label: 'Resumo do mês',          run: () => { const to = localDate(-1); return runSummaryJob(to.slice(0, 8) + '01', to); } },
+  pickup_reminder: { label: 'Lembrete de retirada',   run: runPickupReminders }
+};
+
+function scheduleCron(s) {
+  const [h, m] = String(s.run_time).split(':').map(Number);
+  if (s.frequency === 'weekly') return `0 ${m} ${h} * * ${s.weekday}`;
+  if (s.frequency === 'monthly') return `0 ${m} ${h} ${s.month_day} * *`;
+  return `0 ${m} ${h} * * *`;
+}
+
+async function runSchedule(schedule, trigger) {
+  const job = SCHEDULE_JOBS[schedule.job];
+  const { rows: [run] } = await pool.query(
+    `INSERT INTO schedule_runs (schedule_id, job, trigger) VALUES ($1, $2, $3) RETURNING id`,
+    [schedule.id, schedule.job, trigger]
+  );
+  let result;
   try {
-    const { default: fetch } = await import('node-fetch');
-    const res = await fetch(url);
-    console.log(`[WhatsApp] Status: ${res.status}`);
-    return res.ok;
+    result = await job.run();
   } catch (e) {
-    console.error('[WhatsApp] Erro:', e.message);
-    return false;
+    result = { status: 'error', sent: 0, detail: e.message };
+  }
+  console.log(`[Agenda] ${job.label}: ${result.status} — ${result.detail}`);
+  const { rows: [done] } = await pool.query(
+    `UPDATE schedule_runs SET status = $2, sent = $3, detail = $4, finished_at = NOW() WHERE id = $1 RETURNING *`,
+    [run.id, result.status, result.sent, result.detail]
+  );
+  processOutbox();
+  return done;
+}
+
+// Recria as tarefas do node-cron a partir do banco (no start e a cada alteração)
+const scheduledTasks = new Map();
+async function loadSchedules() {
+  for (const task of scheduledTasks.values()) task.stop();
+  scheduledTasks.clear();
+  const { rows } = await pool.query('SELECT * FROM schedules WHERE active ORDER BY id');
+  for (const s of rows) {
+    scheduledTasks.set(s.id, cron.schedule(scheduleCron(s), () => runSchedule(s, 'schedule').catch(e =>
+      console.error(`[Agenda] Erro em ${s.job}:`, e.message)), { timezone: SCHEDULE_TZ }));
+  }
+}
+
+function validateSchedule(body) {
+  const { job, frequency, run_time } = body;
+  if (job !== undefined && !SCHEDULE_JOBS[job]) return `job must be one of ${Object.keys(SCHEDULE_JOBS).join(', ')}`;
+  if (frequency !== undefined && !SCHEDULE_FREQUENCIES.includes(frequency)) return `frequency must be one of ${SCHEDULE_FREQUENCIES.join(', ')}`;
+  if (run_time !== undefined && !TIME_RE.test(run_time)) return 'run_time must be HH:MM';
+  if (frequency === 'weekly' && !(Number.isInteger(body.weekday) && body.weekday >= 0 && body.weekday <= 6))
+    return 'weekday must be 0 (sunday) to 6 for weekly schedules';
+  if (frequency === 'monthly' && !(Number.isInteger(body.month_day) && body.month_day >= 1 && body.month_day <= 28))
+    return 'month_day must be 1 to 28 for monthly schedules';
+  return null;
+}
+
+function formatSchedule(s) {
+  return { ...s, run_time: String(s.run_time).slice(0, 5), label: SCHEDULE_JOBS[s.job]?.label || s.job };
+}
+
+app.get('/api/schedules', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT s.*, r.status AS last_status, r.detail AS last_detail, r.started_at AS last_run_at
+      FROM schedules s
+      LEFT JOIN LATERAL (SELECT * FROM schedule_runs WHERE schedule_id = s.id ORDER BY id DESC LIMIT 1) r ON true
+      ORDER BY s.id`);
+    res.json({
+      jobs: Object.entries(SCHEDULE_JOBS).map(([job, j]) => ({ job, label: j.label })),
+      schedules: rows.map(formatSchedule)
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.get('/api/schedules/runs', async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit || '50', 10) || 50, 500);
+  try {
+    const { rows } = await pool.query('SELECT * FROM schedule_runs ORDER BY id DESC LIMIT $1', [limit]);
+    res.json(rows.map(r => ({ ...r, label: SCHEDULE_JOBS[r.job]?.label || r.job })));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/schedules', requireRole('owner'), async (req, res) => {
+  const { job, frequency, run_time, weekday = null, month_day = null, active = true } = req.body;
+  if (!job || !frequency || !run_time) return res.status(400).json({ error: 'job, frequency and run_time are required' });
+  const invalid = validateSchedule(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO schedules (job, frequency, weekday, month_day, run_time, active)
+      VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [job, frequency, frequency === 'weekly' ? weekday : null, frequency === 'monthly' ? month_day : null, run_time, Boolean(active)]
+    );
+    await loadSchedules();
+    res.status(201).json(formatSchedule(rows[0]));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.put('/api/schedules/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { rows: [current] } = await pool.query('SELECT * FROM schedules WHERE id = $1', [req.params.id]);
+    if (!current) return res.status(404).json({ error: 'Not found' });
+    const next = { ...current, run_time: String(current.run_time).slice(0, 5), ...req.body };
+    const invalid = validateSchedule(next);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const { rows } = await pool.query(`
+      UPDATE schedules SET job = $2, frequency = $3, weekday = $4, month_day = $5, run_time = $6, active = $7, updated_at = NOW()
+      WHERE id = $1 RETURNING *`,
+      [current.id, next.job, next.frequency, next.frequency === 'weekly' ? next.weekday : null,
+       next.frequency === 'monthly' ? next.month_day : null, next.run_time, Boolean(next.active)]
+    );
+    await loadSchedules();
+    res.json(formatSchedule(rows[0]));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.delete('/api/schedules/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM schedules WHERE id = $1', [req.params.id]);
+    if (!rowCount) return res.status(404).json({ error: 'Not found' });
+    await loadSchedules();
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Executa agora, fora do horário (fica no histórico como "manual")
+app.post('/api/schedules/:id/run', requireRole('owner'), async (req, res) => {
+  try {
+    const { rows: [schedule] } = await pool.query('SELECT * FROM schedules WHERE id = $1', [req.params.id]);
+    if (!schedule) return res.status(404).json({ error: 'Not found' });
+    res.json(await runSchedule(schedule, 'manual'));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── PIX ──────────────────────────────────────────────────────────────────────
+// BR Code estático (EMV "copia e cola") no valor do pedido. O txid aleatório
+// identifica o pedido no extrato e no webhook sem expor o id sequencial.
+const PIX_KEY = process.env.PIX_KEY || '';
+const PIX_MERCHANT_NAME = process.env.PIX_MERCHANT_NAME || 'BIAZZI EMPORIO DA CARNE';
+const PIX_MERCHANT_CITY = process.env.PIX_MERCHANT_CITY || 'CURITIBA';
+
+// Campo EMV: id + tamanho com 2 dígitos + valor
+function emv(id, value) {
+  return id + String(value.length).padStart(2, '0') + value;
+}
+
+// Nome e cidade: sem acentos, maiúsculas, no limite do padrão
+function pixText(text, max) {
+  return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^A-Za-z0-9 ]/g, '').toUpperCase().slice(0, max).trim();
+}
+
+// CRC16-CCITT (polinômio 0x1021, inicial 0xFFFF), exigido no campo 63
+function crc16(payload) {
+  let crc = 0xFFFF;
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x1021) & 0xFFFF : (crc << 1) & 0xFFFF;
+  }
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+function pixPayload({ amount, txid, key = PIX_KEY, name = PIX_MERCHANT_NAME, city = PIX_MERCHANT_CITY }) {
+  const payload = [
+    emv('00', '01'),
+    emv('26', emv('00', 'br.gov.bcb.pix') + emv('01', key)),
+    emv('52', '0000'),
+    emv('53', '986'),
+    emv('54', parseFloat(amount).toFixed(2)),
+    emv('58', 'BR'),
+    emv('59', pixText(name, 25)),
+    emv('60', pixText(city, 15)),
+    emv('62', emv('05', txid || '***')),
+    '6304'
+  ].join('');
+  return payload + crc16(payload);
+}
+
+// txid: até 25 caracteres alfanuméricos
+function newPixTxid() {
+  return 'BZ' + crypto.randomBytes(11).toString('hex').toUpperCase();
+}
+
+// Dados do Pix para a tela de sucesso e a mensagem do cliente
+// O QR cobra o saldo em aberto: depois de um sinal em dinheiro, só o que falta.
+// Pedido recém-criado (sem pagamentos) não traz balance — vale o total.
+function pixInfo(order) {
+  const qr_path = `/api/public/pix/${order.pix_txid}.svg`;
+  const amount = Math.round(parseFloat(order.balance ?? order.total) * 100) / 100;
+  return {
+    txid: order.pix_txid,
+    amount,
+    payload: pixPayload({ amount, txid: order.pix_txid }),
+    qr_path,
+    qr_url: process.env.APP_URL ? process.env.APP_URL.replace(/\/$/, '') + qr_path : qr_path
+  };
+}
+
+// Lança um Pix recebido (painel ou webhook) como pagamento e registra na auditoria.
+// amount nulo = o saldo em aberto (confirmação manual). Passa por recordPayments,
+// que recusa valor acima do saldo; o Pix só fica confirmado quando o saldo zera —
+// um Pix parcial deixa o QR cobrando o restante.
+async function confirmPix(client, orderId, user, e2eId = null, amount = null) {
+  const before = await getOrderWithItems(orderId, client);
+  const received = Math.round(parseFloat(amount ?? before.balance) * 100) / 100;
+  if (received > 0) {
+    await recordPayments(client, before, [{ method: 'pix', amount: received, note: e2eId }], user);
   }
+  const settled = before.balance - Math.max(received, 0) < 0.005;
+  await client.query(`
+    UPDATE orders SET pix_status = CASE WHEN $3 THEN 'confirmed' ELSE pix_status END,
+      pix_paid_at = NOW(), pix_e2e_id = COALESCE($1, pix_e2e_id), updated_at = NOW()
+    WHERE id = $2`, [e2eId, orderId, settled]);
+  const after = await getOrderWithItems(orderId, client);
+  await recordOrderEvent(client, orderId, 'update', user, before, after);
+  return after;
+}
+
+// QR Code do pedido — público, identificado só pelo txid
+app.get('/api/public/pix/:txid.svg', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT o.pix_txid, o.total - (SELECT COALESCE(SUM(p.amount), 0) FROM payments p WHERE p.order_id = o.id) AS balance
+      FROM orders o WHERE o.pix_txid = $1 AND o.status != 'cancelled'`, [req.params.txid]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Pix não encontrado.' });
+    const svg = await QRCode.toString(pixInfo(rows[0]).payload, { type: 'svg', margin: 2, width: 280 });
+    res.type('image/svg+xml').send(svg);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Confirmação manual pela equipe (comprovante conferido no app do banco)
+app.post('/api/orders/:id/pix/confirm', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    if (rows[0].pix_status !== 'pending') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ error: 'Order has no pending Pix' });
+    }
+    const order = await confirmPix(client, rows[0].id, req.user);
+    await client.query('COMMIT');
+    res.json(order);
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// Webhook do PSP: { txid, amount, end_to_end_id } assinado com
+// x-pix-signature = hex(HMAC-SHA256(PIX_WEBHOOK_SECRET, corpo bruto)).
+// Idempotente: notificação repetida de um Pix já confirmado responde 200.
+app.post('/api/public/pix/webhook', async (req, res) => {
+  const secret = process.env.PIX_WEBHOOK_SECRET;
+  if (!secret) return res.status(503).json({ error: 'Pix webhook not configured' });
+  const expected = crypto.createHmac('sha256', secret).update(req.rawBody || '').digest('hex');
+  const given = String(req.headers['x-pix-signature'] || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected)))
+    return res.status(401).json({ error: 'Invalid signature' });
+
+  const { txid, amount, end_to_end_id } = req.body;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM orders WHERE pix_txid = $1 FOR UPDATE', [txid]);
+    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Unknown txid' }); }
+    const order = rows[0];
+    if (order.pix_status === 'confirmed') {
+      await client.query('ROLLBACK');
+      return res.json({ success: true, order_id: order.id, already_confirmed: true });
+    }
+    // Repetição do mesmo Pix (mesmo end_to_end_id) não lança de novo
+    if (end_to_end_id) {
+      const { rowCount } = await client.query(
+        `SELECT 1 FROM payments WHERE order_id = $1 AND method = 'pix' AND note = $2`, [order.id, end_to_end_id]);
+      if (rowCount) {
+        await client.query('ROLLBACK');
+        return res.json({ success: true, order_id: order.id, already_recorded: true });
+      }
+    }
+    // Sinal parcial ou o restante depois de um sinal em dinheiro: vale até o saldo em aberto
+    const { rows: [{ paid }] } = await client.query(
+      'SELECT COALESCE(SUM(amount), 0) AS paid FROM payments WHERE order_id = $1', [order.id]);
+    const balance = Math.round((parseFloat(order.total) - parseFloat(paid)) * 100) / 100;
+    if (!(parseFloat(amount) > 0) || parseFloat(amount) > balance + 0.005) {
+      await client.query('ROLLBACK');
+      return res.status(422).json({ error: 'Amount must be positive and at most the outstanding balance', balance });
+    }
+    await confirmPix(client, order.id, { username: 'webhook pix' }, end_to_end_id || null, amount);
+    await client.query('COMMIT');
+    res.json({ success: true, order_id: order.id });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// ─── ROUTES: PRODUCTS ─────────────────────────────────────────────────────────
+const PRODUCT_UNITS = ['kg', 'un'];
+
+// "Linguiça Toscana" → "linguica_toscana"
+function slugify(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
 }
 
-// Envia WhatsApp para qualquer número (confirmação ao cliente)
-async function sendWhatsAppToNumber(phone, message) {
-  const apiKey = process.env.CALLMEBOT_APIKEY;
-  if (!apiKey) return false;
-  // CallMeBot exige que o destinatário tenha ativado o serviço
-  // Formato: DDI + DDD + número (ex: 5541999998888)
-  const cleanPhone = phone.replace(/\D/g, '');
-  const fullPhone  = cleanPhone.startsWith('55') ? cleanPhone : '55' + cleanPhone;
-  const url = `https://api.callmebot.com/whatsapp.php?phone=${fullPhone}&text=${encodeURIComponent(message)}&apikey=${apiKey}`;
+// Preço e passo informados (criação ou edição) — preço negativo ou passo zero
+// quebrariam os totais e o seletor de quantidade
+function productNumbersError({ price, step }) {
+  if (price != null && price !== '' && !(parseFloat(price) >= 0)) return 'price must be zero or more';
+  if (step != null && step !== '' && !(parseFloat(step) > 0)) return 'step must be greater than zero';
+  return null;
+}
+
+app.get('/api/products', async (req, res) => {
+  try { res.json(await getProducts()); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/products', requireRole('owner'), async (req, res) => {
+  const { name, unit = 'kg', price, step, active, sort_order } = req.body;
+  if (!name?.trim()) return res.status(400).json({ error: 'name is required' });
+  if (!PRODUCT_UNITS.includes(unit)) return res.status(400).json({ error: 'unit must be kg or un' });
+  const numbersError = productNumbersError(req.body);
+  if (numbersError) return res.status(400).json({ error: numbersError });
+  const code = slugify(req.body.code || name);
+  if (!code) return res.status(400).json({ error: 'Invalid product code' });
   try {
-    const { default: fetch } = await import('node-fetch');
-    const res = await fetch(url);
-    console.log(`[WhatsApp Cliente] ${fullPhone} — Status: ${res.status}`);
-    return res.ok;
+    const { rows } = await pool.query(`
+      INSERT INTO products (code, name, unit, price, step, active, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6,
+        COALESCE($7, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM products)))
+      RETURNING *`,
+      [code, name.trim(), unit, parseFloat(price) || 0,
+       parseFloat(step) || (unit === 'un' ? 1 : 0.5), active !== false, sort_order ?? null]
+    );
+    res.status(201).json(formatProduct(rows[0]));
   } catch (e) {
-    console.error('[WhatsApp Cliente] Erro:', e.message);
-    return false;
+    if (e.code === '23505') return res.status(409).json({ error: `Product code already exists: ${code}` });
+    res.status(500).json({ error: e.message });
   }
+});
+
+app.put('/api/products/:id', requireRole('owner'), async (req, res) => {
+  const { name, unit, price, step, active, sort_order } = req.body;
+  if (unit && !PRODUCT_UNITS.includes(unit)) return res.status(400).json({ error: 'unit must be kg or un' });
+  const numbersError = productNumbersError(req.body);
+  if (numbersError) return res.status(400).json({ error: numbersError });
+  const num = v => v == null || v === '' ? null : parseFloat(v);
+  try {
+    const { rows } = await pool.query(`
+      UPDATE products SET
+        name = COALESCE($1, name), unit = COALESCE($2, unit),
+        price = COALESCE($3, price), step = COALESCE($4, step),
+        active = COALESCE($5, active), sort_order = COALESCE($6, sort_order),
+        updated_at = NOW()
+      WHERE id = $7 RETURNING *`,
+      [name?.trim() || null, unit || null, num(price), num(step), active ?? null, sort_order ?? null, req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+    res.json(formatProduct(rows[0]));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Produtos que já aparecem em pedidos ou estoque são apenas desativados
+app.delete('/api/products/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT code FROM products WHERE id = $1', [req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+    const { rows: [{ used }] } = await pool.query(`
+      SELECT EXISTS (SELECT 1 FROM order_items WHERE type = $1)
+          OR EXISTS (SELECT 1 FROM stock_items WHERE product = $1) AS used`, [rows[0].code]);
+    if (used) {
+      await pool.query('UPDATE products SET active = FALSE, updated_at = NOW() WHERE id = $1', [req.params.id]);
+      return res.json({ success: true, deactivated: true });
+    }
+    await pool.query('DELETE FROM products WHERE id = $1', [req.params.id]);
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ROUTES: STOCK ────────────────────────────────────────────────────────────
+// GET estoque por data
+app.get('/api/stock/:date', async (req, res) => {
+  try { res.json(await getStock(req.params.date)); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// POST/PUT define estoque para uma data (upsert)
+// Body: { sale_date, items: [{ product: 'meat', qty: 20 }, ...] }
+// O novo saldo entra no livro como a diferença para o saldo atual: 'initial'
+// na primeira definição do produto na data, 'manual' nas seguintes.
+app.post('/api/stock', requireRole('owner'), async (req, res) => {
+  const { sale_date, items } = req.body;
+  if (!sale_date) return res.status(400).json({ error: 'sale_date is required' });
+  if (!Array.isArray(items)) return res.status(400).json({ error: 'items must be an array' });
+  if (items.some(i => typeof i?.product !== 'string' || typeof i.qty !== 'number' || !Number.isFinite(i.qty) || i.qty < 0))
+    return res.status(400).json({ error: 'each item must be { product, qty } with qty zero or more' });
+  const client = await pool.connect();
+  try {
+    const unknown = findUnknownProduct(items.map(i => ({ type: i.product })), await getProducts());
+    if (unknown) throw httpError(400, `Unknown product: ${unknown}`);
+    await client.query('BEGIN');
+    await client.query(`
+      INSERT INTO stock (sale_date) VALUES ($1)
+      ON CONFLICT (sale_date) DO UPDATE SET updated_at = NOW()`, [sale_date]);
+    for (const item of [...items].sort((a, b) => a.product.localeCompare(b.product))) {
+      const { rows } = await client.query(
+        'SELECT qty FROM stock_items WHERE sale_date = $1 AND product = $2 FOR UPDATE', [sale_date, item.product]
+      );
+      const { rows: [{ opened }] } = await client.query(
+        'SELECT EXISTS (SELECT 1 FROM stock_movements WHERE sale_date = $1 AND product = $2) AS opened',
+        [sale_date, item.product]
+      );
+      const delta = item.qty - parseFloat(rows[0]?.qty ?? 0);
+      await applyStockChanges(client, [{ date: sale_date, product: item.product, delta }],
+        { reason: opened ? 'manual' : 'initial' });
+    }
+    await offerWaitlist(client, items.map(i => ({ date: sale_date, product: i.product })));
+    await client.query('COMMIT');
+    processOutbox();
+    res.json(await getStock(sale_date));
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// Livro de movimentos da data
+app.get('/api/stock/:date/movements', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT m.*, p.name, p.unit FROM stock_movements m
+      JOIN products p ON p.code = m.product
+      WHERE m.sale_date = $1 ORDER BY m.id`, [req.params.date]);
+    res.json(rows.map(r => ({
+      ...r,
+      delta: parseFloat(r.delta),
+      sale_date: r.sale_date?.toISOString().split('T')[0],
+      created_at: r.created_at?.toLocaleString('pt-BR')
+    })));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Ajuste manual ou perda: { product, delta, reason: 'manual' | 'loss', note }
+// Perdas sempre saem do estoque, qualquer que seja o sinal informado.
+app.post('/api/stock/:date/movements', requireRole('owner'), async (req, res) => {
+  const { product, reason = 'manual', note } = req.body;
+  let delta = parseFloat(req.body.delta);
+  if (!product || !delta) return res.status(400).json({ error: 'product and delta are required' });
+  if (!['manual', 'loss'].includes(reason)) return res.status(400).json({ error: 'reason must be manual or loss' });
+  if (reason === 'loss') delta = -Math.abs(delta);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT 1 FROM stock WHERE sale_date = $1', [req.params.date]);
+    if (!rows.length) throw httpError(404, 'No stock registered for this date');
+    await applyStockChanges(client, [{ date: req.params.date, product, delta }], { reason, note: note || null });
+    await offerWaitlist(client, [{ date: req.params.date, product, delta }]);
+    await client.query('COMMIT');
+    processOutbox();
+    res.status(201).json(await getStock(req.params.date));
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// Conferência da data, por produto:
+//   balance_drift  = saldo atual − soma do livro (deveria ser 0)
+//   reserved_drift = baixas do livro por pedidos − itens dos pedidos em aberto (deveria ser 0)
+//   held_drift     = separado no livro para a lista de espera − ofertas em aberto (deveria ser 0)
+app.get('/api/stock/:date/reconciliation', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      WITH ledger AS (
+        SELECT product,
+               SUM(delta) AS ledger,
+               SUM(delta) FILTER (WHERE reason IN ('initial','manual','loss','overweight')) AS supplied,
+               -SUM(delta) FILTER (WHERE reason IN ('reservation','cancel','edit','delete','delivery')) AS ledger_reserved,
+               -SUM(delta) FILTER (WHERE reason = 'waitlist') AS ledger_held
+        FROM stock_movements WHERE sale_date = $1 GROUP BY product
+      ), held AS (
+        SELECT product, SUM(qty) AS qty FROM waitlist
+        WHERE sale_date = $1 AND status = 'offered' GROUP BY product
+      ), reserved AS (
+        SELECT oi.type AS product, SUM(COALESCE(oi.delivered_qty, oi.qty)) AS qty
+        FROM orders o JOIN order_items oi ON oi.order_id = o.id
+        WHERE o.order_date = $1 AND o.status != 'cancelled' GROUP BY oi.type
+      )
+      SELECT p.code AS product, p.name, p.unit,
+             COALESCE(si.qty, 0)              AS current,
+             COALESCE(l.ledger, 0)            AS ledger,
+             COALESCE(l.supplied, 0)          AS supplied,
+             COALESCE(l.ledger_reserved, 0)   AS ledger_reserved,
+             COALESCE(r.qty, 0)               AS orders_reserved,
+             COALESCE(l.ledger_held, 0)       AS ledger_held,
+             COALESCE(h.qty, 0)               AS offers_held
+      FROM products p
+      LEFT JOIN stock_items si ON si.product = p.code AND si.sale_date = $1
+      LEFT JOIN ledger l       ON l.product = p.code
+      LEFT JOIN reserved r     ON r.product = p.code
+      LEFT JOIN held h         ON h.product = p.code
+      WHERE si.id IS NOT NULL OR l.product IS NOT NULL OR r.product IS NOT NULL
+      ORDER BY p.sort_order, p.id`, [req.params.date]);
+    const products = rows.map(r => {
+      const n = k => Math.round(parseFloat(r[k]) * 1000) / 1000;
+      const balance_drift  = Math.round((n('current') - n('ledger')) * 1000) / 1000;
+      const reserved_drift = Math.round((n('ledger_reserved') - n('orders_reserved')) * 1000) / 1000;
+      const held_drift     = Math.round((n('ledger_held') - n('offers_held')) * 1000) / 1000;
+      return {
+        product: r.product, name: r.name, unit: r.unit,
+        current: n('current'), ledger: n('ledger'), supplied: n('supplied'),
+        ledger_reserved: n('ledger_reserved'), orders_reserved: n('orders_reserved'),
+        ledger_held: n('ledger_held'), offers_held: n('offers_held'),
+        balance_drift, reserved_drift, held_drift, ok: !balance_drift && !reserved_drift && !held_drift
+      };
+    });
+    res.json({ sale_date: req.params.date, ok: products.every(p => p.ok), products });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ROUTES: EVENTOS DE VENDA ─────────────────────────────────────────────────
+// Regras da reserva online por data: quando abre e encerra (ex.: sábado 20h),
+// pausa sem mexer no estoque, pedido mínimo, limite por cliente de cada produto
+// e um aviso exibido em reserva.html. Valem só para as rotas públicas — a equipe
+// continua registrando pelo painel fora da janela e acima dos limites.
+
+// open | scheduled (ainda não abriu) | closed (passou do encerramento) | paused
+function saleEventStatus(ev, now = Date.now()) {
+  if (ev?.paused) return 'paused';
+  if (ev?.opens_at && now < new Date(ev.opens_at).getTime()) return 'scheduled';
+  if (ev?.closes_at && now >= new Date(ev.closes_at).getTime()) return 'closed';
+  return 'open';
+}
+
+// Data sem evento cadastrado = aberta, sem limites
+function formatSaleEvent(date, row) {
+  return {
+    sale_date: date,
+    opens_at: row?.opens_at || null,
+    closes_at: row?.closes_at || null,
+    paused: row?.paused || false,
+    min_order: row?.min_order != null ? parseFloat(row.min_order) : null,
+    max_per_customer: Object.fromEntries(Object.entries(row?.max_per_customer || {}).map(([k, v]) => [k, parseFloat(v)])),
+    note: row?.note || '',
+    status: saleEventStatus(row)
+  };
+}
+
+async function getSaleEvent(date, db = pool) {
+  const { rows } = await db.query('SELECT * FROM sale_events WHERE sale_date = $1', [date]);
+  return formatSaleEvent(date, rows[0]);
+}
+
+// Barra a reserva online quando a data não está aceitando pedidos
+function assertSaleOpen(ev) {
+  if (ev.status === 'paused')
+    throw httpError(409, 'As reservas para esta data estão pausadas no momento. Tente novamente mais tarde.');
+  if (ev.status === 'scheduled')
+    throw httpError(409, `As reservas para esta data abrem ${fmtDeadline(new Date(ev.opens_at))}.`, { opens_at: ev.opens_at });
+  if (ev.status === 'closed')
+    throw httpError(409, `As reservas para esta data foram encerradas ${fmtDeadline(new Date(ev.closes_at))}.`);
+}
+
+// Pedido mínimo e limite por cliente. `items` são os itens já precificados; o que
+// o cliente tem em outros pedidos da data soma no limite. Chamar depois do
+// upsertCustomer: a linha do cliente fica travada e dois pedidos simultâneos do
+// mesmo telefone não passam juntos.
+async function assertSaleLimits(db, ev, { items, total, customerId, excludeOrderId = null }) {
+  if (ev.min_order && total < ev.min_order - 0.005)
+    throw httpError(400, `O pedido mínimo para esta data é de R$ ${ev.min_order.toFixed(2).replace('.', ',')}.`,
+      { min_order: ev.min_order });
+  const wanted = qtyByProduct(items);
+  const limited = Object.keys(ev.max_per_customer).filter(product => wanted[product]);
+  if (!limited.length) return;
+  const { rows } = customerId ? await db.query(`
+    SELECT oi.type, SUM(COALESCE(oi.delivered_qty, oi.qty)) AS qty
+    FROM order_items oi JOIN orders o ON o.id = oi.order_id
+    WHERE o.customer_id = $1 AND o.order_date = $2 AND o.status != 'cancelled' AND o.id != COALESCE($3, 0)
+    GROUP BY oi.type`, [customerId, ev.sale_date, excludeOrderId]) : { rows: [] };
+  const held = Object.fromEntries(rows.map(r => [r.type, parseFloat(r.qty)]));
+  for (const product of limited) {
+    const max = ev.max_per_customer[product];
+    const already = held[product] || 0;
+    if (wanted[product] + already <= max + 0.0005) continue;
+    const { name, unit } = items.find(i => i.type === product);
+    const fmtQty = q => String(Math.round(q * 1000) / 1000).replace('.', ',');
+    throw httpError(400,
+      `O limite é de ${fmtQty(max)} ${unit} de ${name} por cliente nesta data` +
+      (already ? ` — você já tem ${fmtQty(already)} ${unit} reservado.` : '.'),
+      { product, max_per_customer: max, already_reserved: already });
+  }
+}
+
+function validateSaleEvent(body, products) {
+  const { opens_at, closes_at, min_order, max_per_customer = {} } = body;
+  for (const [field, v] of [['opens_at', opens_at], ['closes_at', closes_at]]) {
+    if (v && isNaN(new Date(v).getTime())) return `${field} must be a date-time`;
+  }
+  if (opens_at && closes_at && new Date(closes_at) <= new Date(opens_at)) return 'closes_at must be after opens_at';
+  if (min_order != null && min_order !== '' && !(parseFloat(min_order) >= 0)) return 'min_order must be zero or more';
+  if (typeof max_per_customer !== 'object' || Array.isArray(max_per_customer)) return 'max_per_customer must be an object';
+  for (const [product, max] of Object.entries(max_per_customer)) {
+    if (!products.some(p => p.code === product)) return `Unknown product: ${product}`;
+    if (max != null && max !== '' && !(parseFloat(max) > 0)) return `max_per_customer for ${product} must be greater than zero`;
+  }
+  return null;
+}
+
+app.get('/api/sale-events/:date', async (req, res) => {
+  try { res.json(await getSaleEvent(req.params.date)); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Body: { opens_at, closes_at, paused, min_order, max_per_customer: { code: qty }, note }
+// Campos vazios removem a regra (sem limite para o produto, sem pedido mínimo...)
+app.put('/api/sale-events/:date', requireRole('owner'), async (req, res) => {
+  const date = req.params.date;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  try {
+    const invalid = validateSaleEvent(req.body, await getProducts());
+    if (invalid) return res.status(400).json({ error: invalid });
+    const { opens_at, closes_at, paused, min_order, note } = req.body;
+    const limits = Object.fromEntries(Object.entries(req.body.max_per_customer || {})
+      .filter(([, max]) => max != null && max !== '').map(([product, max]) => [product, parseFloat(max)]));
+    const { rows } = await pool.query(`
+      INSERT INTO sale_events (sale_date, opens_at, closes_at, paused, min_order, max_per_customer, note)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (sale_date) DO UPDATE SET
+        opens_at = EXCLUDED.opens_at, closes_at = EXCLUDED.closes_at, paused = EXCLUDED.paused,
+        min_order = EXCLUDED.min_order, max_per_customer = EXCLUDED.max_per_customer, note = EXCLUDED.note,
+        updated_at = NOW()
+      RETURNING *`,
+      [date, opens_at || null, closes_at || null, Boolean(paused),
+       min_order != null && min_order !== '' && parseFloat(min_order) > 0 ? parseFloat(min_order) : null,
+       JSON.stringify(limits), String(note || '').trim()]);
+    res.json(formatSaleEvent(date, rows[0]));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ROUTES: ENTREGAS ─────────────────────────────────────────────────────────
+// Pedido com fulfillment 'delivery' leva endereço e taxa. A taxa vem da zona de
+// entrega: faixa de CEP primeiro, depois o nome do bairro (sem acento e caixa).
+// O painel pode digitar outra taxa — inclusive para endereço fora das zonas.
+const FULFILLMENTS = ['pickup', 'delivery'];
+
+const normalizeCep = cep => String(cep || '').replace(/\D/g, '');
+
+function normalizeNeighborhood(name) {
+  return String(name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function formatZone(z) {
+  return { ...z, fee: parseFloat(z.fee) };
+}
+
+async function findDeliveryZone(db, { cep, neighborhood }) {
+  const { rows } = await db.query('SELECT * FROM delivery_zones WHERE active ORDER BY id');
+  const digits = normalizeCep(cep);
+  const name = normalizeNeighborhood(neighborhood);
+  const zone = (digits.length === 8 && rows.find(z => z.cep_from && digits >= z.cep_from && digits <= z.cep_to)) ||
+    (name && rows.find(z => z.neighborhoods.some(n => normalizeNeighborhood(n) === name)));
+  return zone ? formatZone(zone) : null;
+}
+
+function parseDeliveryAddress(a) {
+  const text = v => String(v ?? '').trim().slice(0, 200);
+  const address = {
+    cep: normalizeCep(a?.cep), street: text(a?.street), number: text(a?.number),
+    complement: text(a?.complement), neighborhood: text(a?.neighborhood), reference: text(a?.reference)
+  };
+  if (address.cep && address.cep.length !== 8) throw httpError(400, 'CEP inválido. Use os 8 dígitos.');
+  if (!address.street || !address.number || !address.neighborhood)
+    throw httpError(400, 'Informe rua, número e bairro para a entrega.');
+  return address;
+}
+
+// { fulfillment, delivery_address, delivery_fee? } do body → o que gravar no pedido.
+// allowFeeOverride = painel: delivery_fee informado vale no lugar da tabela.
+async function resolveDelivery(db, body, { allowFeeOverride = false } = {}) {
+  const fulfillment = body.fulfillment || 'pickup';
+  if (!FULFILLMENTS.includes(fulfillment)) throw httpError(400, 'Forma de entrega inválida.');
+  if (fulfillment === 'pickup') return { fulfillment, address: null, zoneId: null, fee: 0 };
+  const address = parseDeliveryAddress(body.delivery_address);
+  const zone = await findDeliveryZone(db, address);
+  let fee = zone?.fee ?? null;
+  if (allowFeeOverride && body.delivery_fee != null && body.delivery_fee !== '') {
+    fee = parseFloat(body.delivery_fee);
+    if (!(fee >= 0)) throw httpError(400, 'Taxa de entrega inválida.');
+  }
+  if (fee == null) throw httpError(400, 'Ainda não entregamos nesse endereço. Escolha retirar na loja.');
+  return { fulfillment, address, zoneId: zone?.id || null, fee: Math.round(fee * 100) / 100 };
+}
+
+// Uma linha para WhatsApp, impressão e painel
+function deliveryAddressLine(a) {
+  if (!a) return '';
+  return [`${a.street}, ${a.number}${a.complement ? ` ${a.complement}` : ''}`, a.neighborhood,
+    a.cep ? `CEP ${a.cep.replace(/^(\d{5})(\d{3})$/, '$1-$2')}` : null].filter(Boolean).join(' — ');
+}
+
+function deliveryMessageLines(order) {
+  if (order.fulfillment !== 'delivery') return [];
+  return [
+    `🛵 *Entrega:* ${deliveryAddressLine(order.delivery_address)}`,
+    ...(order.delivery_address?.reference ? [`📍 Referência: ${order.delivery_address.reference}`] : []),
+    `🛵 Taxa de entrega: R$ ${parseFloat(order.delivery_fee).toFixed(2).replace('.', ',')}`
+  ];
+}
+
+function validateZone(body) {
+  const name = String(body.name || '').trim();
+  if (!name) return { error: 'name is required' };
+  const cepFrom = normalizeCep(body.cep_from), cepTo = normalizeCep(body.cep_to);
+  if (Boolean(cepFrom) !== Boolean(cepTo)) return { error: 'cep_from and cep_to must be given together' };
+  if (cepFrom && (cepFrom.length !== 8 || cepTo.length !== 8)) return { error: 'CEPs must have 8 digits' };
+  if (cepFrom > cepTo) return { error: 'cep_from must not be after cep_to' };
+  const neighborhoods = (Array.isArray(body.neighborhoods) ? body.neighborhoods : String(body.neighborhoods || '').split(','))
+    .map(n => String(n).trim()).filter(Boolean);
+  if (!cepFrom && !neighborhoods.length) return { error: 'Give a CEP range or at least one neighborhood' };
+  const fee = parseFloat(body.fee);
+  if (!(fee >= 0)) return { error: 'fee must be zero or more' };
+  return { zone: { name, cep_from: cepFrom || null, cep_to: cepTo || null, neighborhoods, fee, active: body.active !== false } };
+}
+
+app.get('/api/delivery-zones', async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT * FROM delivery_zones ORDER BY active DESC, name');
+    res.json(rows.map(formatZone));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/delivery-zones', requireRole('owner'), async (req, res) => {
+  const { zone, error } = validateZone(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO delivery_zones (name, cep_from, cep_to, neighborhoods, fee, active)
+      VALUES ($1,$2,$3,$4,$5,$6) RETURNING *`,
+      [zone.name, zone.cep_from, zone.cep_to, zone.neighborhoods, zone.fee, zone.active]);
+    res.status(201).json(formatZone(rows[0]));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Mudar a taxa não altera pedidos já feitos
+app.put('/api/delivery-zones/:id', requireRole('owner'), async (req, res) => {
+  const { zone, error } = validateZone(req.body);
+  if (error) return res.status(400).json({ error });
+  try {
+    const { rows } = await pool.query(`
+      UPDATE delivery_zones SET name = $1, cep_from = $2, cep_to = $3, neighborhoods = $4, fee = $5, active = $6,
+        updated_at = NOW()
+      WHERE id = $7 RETURNING *`,
+      [zone.name, zone.cep_from, zone.cep_to, zone.neighborhoods, zone.fee, zone.active, req.params.id]);
+    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+    res.json(formatZone(rows[0]));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.delete('/api/delivery-zones/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { rowCount } = await pool.query('DELETE FROM delivery_zones WHERE id = $1', [req.params.id]);
+    if (!rowCount) return res.status(404).json({ error: 'Not found' });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Taxa para o endereço (reserva online e Nova Reserva): ?cep=&neighborhood=
+app.get('/api/public/delivery-fee', async (req, res) => {
+  try {
+    const zone = await findDeliveryZone(pool, req.query);
+    if (!zone) return res.status(404).json({ error: 'Ainda não entregamos nesse endereço. Escolha retirar na loja.' });
+    res.json({ zone: zone.name, fee: zone.fee });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Lista do entregador: entregas pendentes da data agrupadas por bairro, em ordem
+// de rua e número dentro do bairro
+app.get('/api/deliveries/:date', async (req, res) => {
+  const { date } = req.params;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  try {
+    const { rows } = await pool.query(`
+      SELECT ${ORDER_COLUMNS}, z.name AS zone FROM ${ORDER_FROM}
+      LEFT JOIN delivery_zones z ON z.id = o.delivery_zone_id
+      WHERE o.order_date = $1 AND o.status = 'pending' AND o.fulfillment = 'delivery'`, [date]);
+    const orders = await attachOrderItems(rows);
+    const groups = {};
+    for (const o of orders) {
+      const key = normalizeNeighborhood(o.delivery_address.neighborhood);
+      (groups[key] ||= { neighborhood: o.delivery_address.neighborhood, orders: [] }).orders.push({
+        id: o.id, name: o.name, phone: o.phone, zone: o.zone,
+        address: o.delivery_address, address_line: deliveryAddressLine(o.delivery_address),
+        items: o.items.map(i => ({ type: i.type, name: i.name, unit: i.unit, qty: parseFloat(i.qty) })),
+        total: parseFloat(o.total), delivery_fee: parseFloat(o.delivery_fee),
+        payment: o.payment, pix_status: o.pix_status, paid_amount: o.paid_amount, balance: o.balance,
+        paid: o.balance < 0.005
+      });
+    }
+    const byStreet = (a, b) => a.address.street.localeCompare(b.address.street, 'pt-BR') ||
+      a.address.number.localeCompare(b.address.number, 'pt-BR', { numeric: true }) || a.id - b.id;
+    res.json({
+      sale_date: date,
+      count: orders.length,
+      to_collect: Math.round(orders.reduce((s, o) => s + Math.max(o.balance, 0), 0) * 100) / 100,
+      delivery_fees: Math.round(orders.reduce((s, o) => s + parseFloat(o.delivery_fee), 0) * 100) / 100,
+      groups: Object.values(groups)
+        .sort((a, b) => a.neighborhood.localeCompare(b.neighborhood, 'pt-BR'))
+        .map(g => ({ ...g, count: g.orders.length, orders: g.orders.sort(byStreet) }))
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ROUTES: PICKUP SLOTS ─────────────────────────────────────────────────────
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validateSlot({ start_time, end_time, capacity }) {
+  if (!TIME_RE.test(start_time || '') || !TIME_RE.test(end_time || '')) return 'start_time and end_time must be HH:MM';
+  if (end_time <= start_time) return 'end_time must be after start_time';
+  if (!Number.isInteger(Number(capacity)) || Number(capacity) < 1) return 'capacity must be a positive integer';
+  return null;
+}
+
+app.get('/api/slots/:date', async (req, res) => {
+  try { res.json(await getSlots(req.params.date)); }
+  catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+app.post('/api/slots', requireRole('owner'), async (req, res) => {
+  const { sale_date, start_time, end_time, capacity } = req.body;
+  if (!sale_date) return res.status(400).json({ error: 'sale_date is required' });
+  const invalid = validateSlot(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  try {
+    const { rows } = await pool.query(
+      'INSERT INTO pickup_slots (sale_date, start_time, end_time, capacity) VALUES ($1,$2,$3,$4) RETURNING id',
+      [sale_date, start_time, end_time, Number(capacity)]
+    );
+    res.status(201).json((await getSlots(sale_date)).find(s => s.id === rows[0].id));
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: `A slot starting at ${start_time} already exists for ${sale_date}` });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Reduzir a capacidade abaixo do já reservado só impede novas reservas na janela
+app.put('/api/slots/:id', requireRole('owner'), async (req, res) => {
+  const invalid = validateSlot(req.body);
+  if (invalid) return res.status(400).json({ error: invalid });
+  const { start_time, end_time, capacity } = req.body;
+  try {
+    const { rows } = await pool.query(
+      'UPDATE pickup_slots SET start_time = $1, end_time = $2, capacity = $3 WHERE id = $4 RETURNING sale_date',
+      [start_time, end_time, Number(capacity), req.params.id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+    res.json((await getSlots(isoDate(rows[0].sale_date))).find(s => s.id === Number(req.params.id)));
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: `A slot starting at ${start_time} already exists for this date` });
+    res.status(500).json({ error: e.message });
+  }
+});
+
+app.delete('/api/slots/:id', requireRole('owner'), async (req, res) => {
+  try {
+    const { rows: [{ c }] } = await pool.query(
+      `SELECT COUNT(*) AS c FROM orders WHERE pickup_slot_id = $1 AND status != 'cancelled'`, [req.params.id]
+    );
+    if (Number(c) > 0) return res.status(409).json({ error: `Slot has ${c} active order(s); move them first` });
+    const { rowCount } = await pool.query('DELETE FROM pickup_slots WHERE id = $1', [req.params.id]);
+    if (!rowCount) return res.status(404).json({ error: 'Not found' });
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ROUTES: IMPRESSÃO (lista de retirada e etiquetas) ────────────────────────
+// Dados da página /imprimir: pedidos pendentes da data com itens e o resumo de
+// preparo (quanto porcionar de cada produto). ?order=ID restringe a um pedido.
+const PRINT_SORTS = {
+  name: (a, b) => a.name.localeCompare(b.name, 'pt-BR') || a.id - b.id,
+  pickup: (a, b) => (a.pickup_start || '99').localeCompare(b.pickup_start || '99') ||
+    a.name.localeCompare(b.name, 'pt-BR') || a.id - b.id
+};
+
+app.get('/api/print/:date', async (req, res) => {
+  const { date } = req.params;
+  const sort = req.query.sort || 'name';
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+  if (!PRINT_SORTS[sort]) return res.status(400).json({ error: `sort must be one of ${Object.keys(PRINT_SORTS).join(', ')}` });
+  try {
+    const { rows: orders } = await pool.query(`
+      SELECT ${ORDER_COLUMNS}, (SELECT COALESCE(SUM(amount), 0) FROM payments pm WHERE pm.order_id = o.id) AS paid_amount
+      FROM ${ORDER_FROM}
+      WHERE o.order_date = $1 AND o.status = 'pending' AND ($2::int IS NULL OR o.id = $2)`,
+      [date, Number(req.query.order) || null]);
+    const { rows: items } = await pool.query(`
+      SELECT oi.order_id, oi.type, COALESCE(oi.name, pr.name, oi.type) AS name,
+             COALESCE(oi.unit, pr.unit, 'kg') AS unit, oi.qty, oi.price, oi.subtotal, pr.sort_order
+      FROM order_items oi LEFT JOIN products pr ON pr.code = oi.type
+      WHERE oi.order_id = ANY($1) ORDER BY oi.id`, [orders.map(o => o.id)]);
+
+    // Resumo de preparo na ordem do catálogo
+    const prep = {};
+    for (const i of items) {
+      const p = prep[i.type] ||= { product: i.type, name: i.name, unit: i.unit, qty: 0, orders: new Set(), sort_order: i.sort_order ?? 999 };
+      p.qty = Math.round((p.qty + parseFloat(i.qty)) * 1000) / 1000;
+      p.orders.add(i.order_id);
+    }
+
+    res.json({
+      sale_date: date,
+      sort,
+      count: orders.length,
+      total: Math.round(orders.reduce((s, o) => s + parseFloat(o.total), 0) * 100) / 100,
+      prep: Object.values(prep).sort((a, b) => a.sort_order - b.sort_order)
+        .map(p => ({ product: p.product, name: p.name, unit: p.unit, qty: p.qty, orders: p.orders.size })),
+      orders: orders.map(o => ({
+        id: o.id, name: o.name, phone: o.phone, total: parseFloat(o.total),
+        payment: o.payment, pix_status: o.pix_status,
+        paid_amount: parseFloat(o.paid_amount),
+        balance: Math.round((parseFloat(o.total) - parseFloat(o.paid_amount)) * 100) / 100,
+        paid: parseFloat(o.total) - parseFloat(o.paid_amount) < 0.005,
+        pickup: slotLabel(o.pickup_start, o.pickup_end), pickup_start: o.pickup_start,
+        fulfillment: o.fulfillment, delivery_address: deliveryAddressLine(o.delivery_address) || null,
+        delivery_fee: parseFloat(o.delivery_fee),
+        items: items.filter(i => i.order_id === o.id).map(i => ({
+          type: i.type, name: i.name, unit: i.unit,
+          qty: parseFloat(i.qty), price: parseFloat(i.price), subtotal: parseFloat(i.subtotal)
+        }))
+      })).sort(PRINT_SORTS[sort])
+    });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ROUTES: EXPORTS (CSV / XLSX) ─────────────────────────────────────────────
+// CSV no padrão do Excel brasileiro: separador ";", vírgula decimal, datas
+// dd/mm/aaaa e BOM UTF-8. No XLSX números e datas vão como valores nativos.
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const pad2 = n => String(n).padStart(2, '0');
+
+function brDate(v) {
+  if (!v) return '';
+  const [y, m, d] = isoDate(v).split('-');
+  return `${d}/${m}/${y}`;
+}
+
+function brDateTime(v) {
+  if (!v) return '';
+  const d = new Date(v);
+  return `${pad2(d.getDate())}/${pad2(d.getMonth() + 1)}/${d.getFullYear()} ${pad2(d.getHours())}:${pad2(d.getMinutes())}`;
+}
+
+function brNumber(v, decimals = null) {
+  if (v == null || v === '') return '';
+  const n = parseFloat(v);
+  return (decimals == null ? String(n) : n.toFixed(decimals)).replace('.', ',');
+}
+
+// Texto que começa com = + - @ (ou tab/CR) vira fórmula no Excel/LibreOffice:
+// o apóstrofo na frente força texto (nome de cliente, observação...). Só nas
+// colunas de texto: valor negativo em coluna numérica continua número
+function spreadsheetText(v) {
+  const text = String(v ?? '');
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function csvCell(v) {
+  const text = String(v ?? '');
+  return /[;"\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// O XLSX não tem fuso: grava o horário de parede como se fosse UTC
+function excelDate(v, withTime = false) {
+  if (!v) return null;
+  if (!withTime) { const [y, m, d] = isoDate(v).split('-').map(Number); return new Date(Date.UTC(y, m - 1, d)); }
+  const d = new Date(v);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60000);
+}
+
+// columns: [{ header, key, type: 'text'|'number'|'money'|'date'|'datetime', width }]
+async function sendExport(res, format, filename, sheetName, columns, rows) {
+  if (format === 'xlsx') {
+    const wb = new ExcelJS.Workbook();
+    const ws = wb.addWorksheet(sheetName);
+    const numFmt = { money: '#,##0.00', number: '#,##0.###', date: 'dd/mm/yyyy', datetime: 'dd/mm/yyyy hh:mm' };
+    ws.columns = columns.map(c => ({ header: c.header, key: c.key, width: c.width || 14, style: numFmt[c.type] ? { numFmt: numFmt[c.type] } : {} }));
+    ws.getRow(1).font = { bold: true };
+    for (const r of rows) {
+      ws.addRow(Object.fromEntries(columns.map(c => {
+        const v = r[c.key];
+        if (c.type === 'money' || c.type === 'number') return [c.key, v == null || v === '' ? null : parseFloat(v)];
+        if (c.type === 'date' || c.type === 'datetime') return [c.key, excelDate(v, c.type === 'datetime')];
+        return [c.key, spreadsheetText(v)];
+      })));
+    }
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+    await wb.xlsx.write(res);
+    return res.end();
+  }
+  const fmtCell = (c, v) =>
+    c.type === 'money' ? brNumber(v, 2) : c.type === 'number' ? brNumber(v)
+      : c.type === 'date' ? brDate(v) : c.type === 'datetime' ? brDateTime(v) : spreadsheetText(v);
+  const lines = [columns.map(c => csvCell(c.header)).join(';'),
+    ...rows.map(r => columns.map(c => csvCell(fmtCell(c, r[c.key]))).join(';'))];
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.send('﻿' + lines.join('\r\n') + '\r\n');
+}
+
+// from/to/format comuns às exportações; devolve null e responde 400 se inválidos
+function exportParams(req, res) {
+  const from = String(req.query.from || '2000-01-01');
+  const to = String(req.query.to || '2099-12-31');
+  const format = req.query.format || 'csv';
+  if (![from, to].every(isIsoDate)) {
+    res.status(400).json({ error: 'from and to must be YYYY-MM-DD' }); return null;
+  }
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` }); return null;
+  }
+  const suffix = req.query.from || req.query.to ? `_${req.query.from || 'inicio'}_${req.query.to || 'fim'}` : '';
+  return { from, to, format, suffix };
+}
+
+const STATUS_BR = { pending: 'Pendente', paid: 'Pago', cancelled: 'Cancelado' };
+const PAYMENT_BR = { cash: 'Dinheiro', card: 'Cartão', pix: 'Pix', a_combinar: 'Na retirada' };
+
+// Pedidos por data do pedido, uma linha por item
+app.get('/api/export/orders', async (req, res) => {
+  const p = exportParams(req, res);
+  if (!p) return;
+  try {
+    const { rows } = await pool.query(`
+      SELECT o.id, o.order_date, o.created_at, o.name AS customer, o.phone, o.status, o.payment, o.total,
+             o.fulfillment, o.delivery_address, o.delivery_fee,
+             (SELECT COALESCE(SUM(amount), 0) FROM payments pm WHERE pm.order_id = o.id) AS paid_amount,
+             ps.start_time, ps.end_time,
+             COALESCE(oi.name, pr.name, oi.type) AS product, COALESCE(oi.unit, pr.unit) AS unit,
+             oi.qty, oi.delivered_qty, oi.price, oi.subtotal, oi.override_reason
+      FROM orders o
+      LEFT JOIN pickup_slots ps ON ps.id = o.pickup_slot_id
+      JOIN order_items oi ON oi.order_id = o.id
+      LEFT JOIN products pr ON pr.code = oi.type
+      WHERE o.order_date BETWEEN $1 AND $2
+      ORDER BY o.order_date, o.id, oi.id`, [p.from, p.to]);
+    await sendExport(res, p.format, `pedidos${p.suffix}`, 'Pedidos', [
+      { header: 'Pedido', key: 'id', type: 'number', width: 8 },
+      { header: 'Data', key: 'order_date', type: 'date' },
+      { header: 'Retirada', key: 'pickup' },
+      { header: 'Entrega', key: 'delivery_address', width: 36 },
+      { header: 'Registrado em', key: 'created_at', type: 'datetime', width: 18 },
+      { header: 'Cliente', key: 'customer', width: 24 },
+      { header: 'Telefone', key: 'phone', width: 16 },
+      { header: 'Status', key: 'status' },
+      { header: 'Pagamento', key: 'payment' },
+      { header: 'Produto', key: 'product', width: 20 },
+      { header: 'Unidade', key: 'unit', width: 8 },
+      { header: 'Quantidade', key: 'qty', type: 'number' },
+      { header: 'Entregue', key: 'delivered_qty', type: 'number' },
+      { header: 'Preço unitário', key: 'price', type: 'money' },
+      { header: 'Subtotal', key: 'subtotal', type: 'money' },
+      { header: 'Taxa de entrega', key: 'delivery_fee', type: 'money' },
+      { header: 'Total do pedido', key: 'total', type: 'money' },
+      { header: 'Pago', key: 'paid_amount', type: 'money' },
+      { header: 'Ajuste de preço', key: 'override_reason', width: 20 }
+    ], rows.map(r => ({
+      ...r,
+      pickup: slotLabel(r.start_time, r.end_time) || '',
+      delivery_address: deliveryAddressLine(r.delivery_address),
+      status: STATUS_BR[r.status] || r.status,
+      payment: PAYMENT_BR[r.payment] || r.payment
+    })));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Histórico (pedidos resolvidos) com items_json aberto em linhas
+app.get('/api/export/history', async (req, res) => {
+  const p = exportParams(req, res);
+  if (!p) return;
+  try {
+    const { rows } = await pool.query(`
+      SELECT h.id, h.order_id, COALESCE(h.order_date, h.created_at::date) AS order_date, h.resolved_at,
+             h.name AS customer, h.phone, h.status, h.payment, h.total,
+             COALESCE(e->>'name', pr.name, e->>'type') AS product, COALESCE(e->>'unit', pr.unit) AS unit,
+             e->>'qty' AS qty, e->>'delivered_qty' AS delivered_qty, e->>'price' AS price, e->>'subtotal' AS subtotal
+      FROM history h
+      CROSS JOIN json_array_elements(h.items_json::json) e
+      LEFT JOIN products pr ON pr.code = e->>'type'
+      WHERE COALESCE(h.order_date, h.created_at::date) BETWEEN $1 AND $2
+      ORDER BY 3, h.id`, [p.from, p.to]);
+    await sendExport(res, p.format, `historico${p.suffix}`, 'Histórico', [
+      { header: 'Registro', key: 'id', type: 'number', width: 8 },
+      { header: 'Pedido', key: 'order_id', type: 'number', width: 8 },
+      { header: 'Data', key: 'order_date', type: 'date' },
+      { header: 'Resolvido em', key: 'resolved_at', type: 'datetime', width: 18 },
+      { header: 'Cliente', key: 'customer', width: 24 },
+      { header: 'Telefone', key: 'phone', width: 16 },
+      { header: 'Status', key: 'status' },
+      { header: 'Pagamento', key: 'payment' },
+      { header: 'Produto', key: 'product', width: 20 },
+      { header: 'Unidade', key: 'unit', width: 8 },
+      { header: 'Quantidade', key: 'qty', type: 'number' },
+      { header: 'Entregue', key: 'delivered_qty', type: 'number' },
+      { header: 'Preço unitário', key: 'price', type: 'money' },
+      { header: 'Subtotal', key: 'subtotal', type: 'money' },
+      { header: 'Total do pedido', key: 'total', type: 'money' }
+    ], rows.map(r => ({ ...r, status: STATUS_BR[r.status] || r.status, payment: PAYMENT_BR[r.payment] || r.payment })));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Estoque por data de venda e produto, com o resumo do livro de movimentos
+app.get('/api/export/stock', async (req, res) => {
+  const p = exportParams(req, res);
+  if (!p) return;
+  try {
+    const { rows } = await pool.query(`
+      SELECT si.sale_date, p.name AS product, p.unit, si.qty AS balance,
+             COALESCE(SUM(m.delta) FILTER (WHERE m.reason IN ('initial', 'manual', 'overweight')), 0) AS supplied,
+             -COALESCE(SUM(m.delta) FILTER (WHERE m.reason IN ('reservation', 'cancel', 'edit', 'delete', 'delivery')), 0) AS reserved,
+             -COALESCE(SUM(m.delta) FILTER (WHERE m.reason = 'loss'), 0) AS lost,
+             -COALESCE(SUM(m.delta) FILTER (WHERE m.reason = 'waitlist'), 0) AS held
+      FROM stock_items si
+      JOIN products p ON p.code = si.product
+      LEFT JOIN stock_movements m ON m.sale_date = si.sale_date AND m.product = si.product
+      WHERE si.sale_date BETWEEN $1 AND $2
+      GROUP BY si.id, si.sale_date, si.qty, p.name, p.unit, p.sort_order
+      ORDER BY si.sale_date, p.sort_order`, [p.from, p.to]);
+    await sendExport(res, p.format, `estoque${p.suffix}`, 'Estoque', [
+      { header: 'Data de venda', key: 'sale_date', type: 'date' },
+      { header: 'Produto', key: 'product', width: 20 },
+      { header: 'Unidade', key: 'unit', width: 8 },
+      { header: 'Abastecido', key: 'supplied', type: 'number' },
+      { header: 'Reservado', key: 'reserved', type: 'number' },
+      { header: 'Perdas', key: 'lost', type: 'number' },
+      { header: 'Lista de espera', key: 'held', type: 'number' },
+      { header: 'Saldo', key: 'balance', type: 'number' }
+    ], rows);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// ─── ANTIABUSO (reserva online) ───────────────────────────────────────────────
+// Além do limite por IP (reservaLimiter): chave de idempotência no envio, reserva
+// repetida do mesmo telefone na mesma data (recusa ou soma à existente), teto de
+// reservas em aberto por telefone e lista de bloqueio — manual ou automática
+// depois de NO_SHOW_BLOCK_AFTER reservas sem retirada.
+const RESERVA_DUPLICATES = process.env.RESERVA_DUPLICATES === 'merge' ? 'merge' : 'reject';
+const RESERVA_MAX_OPEN_PER_PHONE = parseInt(process.env.RESERVA_MAX_OPEN_PER_PHONE || '3', 10); // 0 = sem teto
+const NO_SHOW_BLOCK_AFTER = parseInt(process.env.NO_SHOW_BLOCK_AFTER || '2', 10);               // 0 = não bloqueia sozinho
+
+async function isPhoneBlocked(phone, db = pool) {
+  const { rows } = await db.query('SELECT 1 FROM phone_blocks WHERE phone = $1', [normalizePhone(phone)]);
+  return rows.length > 0;
+}
+
+// Chave enviada no header Idempotency-Key (ou no corpo) — um envio do formulário
+function idempotencyKey(req) {
+  return String(req.get('Idempotency-Key') || req.body.idempotency_key || '').trim().slice(0, 100) || null;
+}
+
+// Pedido já criado com a chave; a chave de outro telefone não devolve nada
+async function findIdempotentOrder(db, key, phone) {
+  if (!key) return null;
+  const { rows } = await db.query('SELECT id, phone FROM orders WHERE idempotency_key = $1', [key]);
+  if (!rows.length) return null;
+  if (normalizePhone(rows[0].phone) !== normalizePhone(phone)) throw httpError(409, 'Envio inválido. Recarregue a página e tente novamente.');
+  return getOrderWithItems(rows[0].id, db);
+}
+
+const BLOCKED_MESSAGE = 'Não foi possível registrar reservas online para este telefone. Fale com a gente pelo WhatsApp.';
+
+// Envio repetido (ou somado a outra reserva): devolve o pedido sem o link de
+// alteração — ele só vai no WhatsApp do dono do telefone
+function reservaReplay(order, message) {
+  return {
+    success: true, orderId: order.id, total: parseFloat(order.total), pickup: order.pickup || null,
+    pix: order.pix_status === 'pending' && order.pix_txid ? pixInfo(order) : null,
+    manage_url: null, message
+  };
+}
+
+// Reservas em aberto do cliente, de hoje em diante — chamar com a linha do cliente travada
+async function openReservations(db, customerId) {
+  const { rows } = await db.query(`
+    SELECT id, order_date FROM orders
+    WHERE customer_id = $1 AND status = 'pending' AND order_date >= $2
+    ORDER BY id`, [customerId, localDate()]);
+  return rows;
+}
+
+// RESERVA_DUPLICATES=merge: os itens do novo envio somam aos da reserva que o
+// telefone já tem na data — mesmo horário, ajustes de preço da equipe mantidos.
+// Só os itens se somam: outra forma de entrega, endereço ou horário é recusado (409).
+async function mergeReservation(client, orderId, items, event, { delivery, slot }) {
+  const { rows: [order] } = await client.query(
+    'SELECT fulfillment, delivery_address, pickup_slot_id FROM orders WHERE id = $1', [orderId]);
+  if (order.fulfillment !== delivery.fulfillment ||
+      deliveryAddressLine(order.delivery_address) !== deliveryAddressLine(delivery.address) ||
+      (slot && slot.id !== order.pickup_slot_id)) {
+    throw httpError(409, 'Você já tem uma reserva para esta data com outra forma de entrega ou horário. Para mudar, use o link de alteração enviado no WhatsApp.');
+  }
+  const { rows: current } = await client.query('SELECT * FROM order_items WHERE order_id = $1', [orderId]);
+  const merged = Object.fromEntries(current.map(i => [i.type, {
+    type: i.type, qty: parseFloat(i.qty),
+    ...(i.override_reason ? { price_override: i.price, override_reason: i.override_reason } : {})
+  }]));
+  for (const i of items) {
+    const line = merged[i.type] ||= { type: i.type, qty: 0 };
+    line.qty = Math.round((line.qty + i.qty) * 1000) / 1000;
+  }
+  const updated = await updateOrder(client, orderId, { items: Object.values(merged) }, null);
+  await assertSaleLimits(client, event, {
+    items: updated.items, total: updated.items_total, customerId: updated.customer_id, excludeOrderId: updated.id
+  });
+  return updated;
 }
 
-app.post('/api/whatsapp/send-summary', async (req, res) => {
-  const date = req.body?.date || new Date().toISOString().split('T')[0];
-  const msg  = await buildDailySummary(date);
-  if (!msg) return res.json({ success: false, message: 'Nenhum pedido encontrado para essa data.' });
-  const ok = await sendWhatsApp(msg);
-  res.json({ success: ok, preview: msg });
+// Não retirou: cancela o pedido (o estoque volta), marca no_show e soma no cadastro
+// do cliente. Ao chegar em NO_SHOW_BLOCK_AFTER, o telefone entra na lista de bloqueio.
+app.post('/api/orders/:id/no-show', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!rows.length) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    const order = rows[0];
+    if (order.status !== 'pending') throw httpError(409, 'Only pending orders can be marked as no-show');
+    if (isoDate(order.order_date) > localDate()) throw httpError(409, 'The pickup date has not arrived yet');
+    await updateOrder(client, order.id, { status: 'cancelled' }, req.user);
+    await client.query('UPDATE orders SET no_show = TRUE WHERE id = $1', [order.id]);
+    let noShows = null, blocked = false;
+    if (order.customer_id) {
+      const { rows: [c] } = await client.query(
+        'UPDATE customers SET no_shows = no_shows + 1, updated_at = NOW() WHERE id = $1 RETURNING phone, no_shows',
+        [order.customer_id]);
+      noShows = c.no_shows;
+      if (NO_SHOW_BLOCK_AFTER > 0 && noShows >= NO_SHOW_BLOCK_AFTER) {
+        const { rowCount } = await client.query(`
+          INSERT INTO phone_blocks (phone, reason, auto, created_by) VALUES ($1, $2, TRUE, $3)
+          ON CONFLICT (phone) DO NOTHING`,
+          [c.phone, `${noShows} reservas sem retirada`, req.user.username]);
+        blocked = rowCount > 0;
+      }
+    }
+    await client.query('COMMIT');
+    processOutbox();
+    res.json({ ...(await getOrderWithItems(order.id)), no_shows: noShows, blocked });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
 });
 
-app.get('/api/whatsapp/preview', async (req, res) => {
-  const date = req.query.date || new Date().toISOString().split('T')[0];
-  const msg  = await buildDailySummary(date);
-  res.json({ date, preview: msg || 'Nenhum pedido para essa data.' });
+app.get('/api/blocklist', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`
+      SELECT b.*, c.id AS customer_id, c.name, c.no_shows
+      FROM phone_blocks b LEFT JOIN customers c ON c.phone = b.phone
+      ORDER BY b.created_at DESC`);
+    res.json(rows);
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-cron.schedule('0 0 20 * * 0', async () => {
-  console.log('[Cron] Resumo dominical às 20h...');
-  const today = new Date().toISOString().split('T')[0];
-  const msg   = await buildDailySummary(today);
-  if (msg) await sendWhatsApp(msg);
-  else console.log('[Cron] Sem pedidos hoje.');
-}, { timezone: process.env.TZ || 'America/Sao_Paulo' });
-
-// ─── ROUTES: STOCK ────────────────────────────────────────────────────────────
-// GET estoque por data
-app.get('/api/stock/:date', async (req, res) => {
+// Body: { phone, reason } — bloquear de novo só atualiza o motivo
+app.post('/api/blocklist', requireRole('owner'), async (req, res) => {
+  const phone = normalizePhone(req.body.phone);
+  if (phone.length < 10) return res.status(400).json({ error: 'phone must have area code and number' });
   try {
-    const { rows } = await pool.query('SELECT * FROM stock WHERE sale_date = $1', [req.params.date]);
-    if (!rows.length) return res.json({ sale_date: req.params.date, meat: 0, ribs: 0, chicken: 0 });
-    const r = rows[0];
-    res.json({ ...r, sale_date: r.sale_date?.toISOString().split('T')[0] });
+    const { rows } = await pool.query(`
+      INSERT INTO phone_blocks (phone, reason, created_by) VALUES ($1, $2, $3)
+      ON CONFLICT (phone) DO UPDATE SET reason = EXCLUDED.reason, auto = FALSE
+      RETURNING *`, [phone, String(req.body.reason || '').trim(), req.user.username]);
+    res.status(201).json(rows[0]);
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// POST/PUT define estoque para uma data (upsert)
-app.post('/api/stock', async (req, res) => {
-  const { sale_date, meat, ribs, chicken } = req.body;
-  if (!sale_date) return res.status(400).json({ error: 'sale_date is required' });
+// Desbloquear mantém a contagem de não-retiradas: a próxima falta bloqueia de novo
+app.delete('/api/blocklist/:phone', requireRole('owner'), async (req, res) => {
   try {
-    const { rows } = await pool.query(`
-      INSERT INTO stock (sale_date, meat, ribs, chicken)
-      VALUES ($1, $2, $3, $4)
-      ON CONFLICT (sale_date) DO UPDATE SET
-        meat = $2, ribs = $3, chicken = $4, updated_at = NOW()
-      RETURNING *`,
-      [sale_date, parseFloat(meat)||0, parseFloat(ribs)||0, parseFloat(chicken)||0]
-    );
-    const r = rows[0];
-    res.json({ ...r, sale_date: r.sale_date?.toISOString().split('T')[0] });
+    const { rowCount } = await pool.query('DELETE FROM phone_blocks WHERE phone = $1', [normalizePhone(req.params.phone)]);
+    if (!rowCount) return res.status(404).json({ error: 'Phone is not blocked' });
+    res.json({ success: true });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
@@ -411,99 +2692,194 @@ const reservaLimiter = rateLimit({
   message: { error: 'Muitas tentativas. Tente novamente em 1 hora.' }
 });
 
-// Datas disponíveis para reserva (estoque > 0 a partir de hoje)
+// Produto esgotado (já vendeu e zerou) aceita lista de espera; saldo zero sem
+// nenhuma venda é produto que o dono não ofereceu na data
+const SOLD_OUT_SQL = `(si.qty <= 0 AND EXISTS (
+  SELECT 1 FROM stock_movements m
+  WHERE m.sale_date = si.sale_date AND m.product = si.product AND m.reason IN ('reservation', 'waitlist')))`;
+
+// Datas disponíveis para reserva a partir de hoje: com estoque ou esgotadas
+// (sold_out: true — o cliente pode entrar na lista de espera). Datas com o evento
+// de venda encerrado saem da lista; pausadas e ainda por abrir aparecem com o
+// `event.status` para a página mostrar quando abrem.
 app.get('/api/public/available-dates', async (req, res) => {
   try {
     const today = new Date().toISOString().split('T')[0];
     const { rows } = await pool.query(`
-      SELECT sale_date, meat, ribs, chicken FROM stock
-      WHERE sale_date >= $1 AND (meat > 0 OR ribs > 0 OR chicken > 0)
-      ORDER BY sale_date ASC`, [today]);
-    res.json(rows.map(r => ({
-      ...r,
-      sale_date: r.sale_date?.toISOString().split('T')[0]
-    })));
+      SELECT si.sale_date, si.product, p.name, p.unit, si.qty, ${SOLD_OUT_SQL} AS sold_out FROM stock_items si
+      JOIN products p ON p.code = si.product
+      WHERE si.sale_date >= $1 AND (si.qty > 0 OR ${SOLD_OUT_SQL}) AND p.active
+      ORDER BY si.sale_date ASC, p.sort_order, p.id`, [today]);
+    const dates = [];
+    for (const r of rows) {
+      const sale_date = r.sale_date?.toISOString().split('T')[0];
+      if (dates[dates.length - 1]?.sale_date !== sale_date) dates.push({ sale_date, items: [] });
+      dates[dates.length - 1].items.push({ product: r.product, name: r.name, unit: r.unit, qty: parseFloat(r.qty), sold_out: r.sold_out });
+    }
+    const { rows: events } = await pool.query(
+      'SELECT * FROM sale_events WHERE sale_date = ANY($1)', [dates.map(d => d.sale_date)]);
+    res.json(dates
+      .map(d => ({ ...d, sold_out: d.items.every(i => i.sold_out), waitlist: canNotifyCustomers(),
+                   event: formatSaleEvent(d.sale_date, events.find(e => isoDate(e.sale_date) === d.sale_date)) }))
+      .filter(d => d.event.status !== 'closed'));
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// Estoque público de uma data
+// Estoque público de uma data (somente produtos ativos), com as regras do evento de venda
 app.get('/api/public/stock/:date', async (req, res) => {
   try {
-    const { rows } = await pool.query('SELECT * FROM stock WHERE sale_date = $1', [req.params.date]);
-    if (!rows.length) return res.json({ sale_date: req.params.date, meat: 0, ribs: 0, chicken: 0 });
-    const r = rows[0];
-    res.json({ ...r, sale_date: r.sale_date?.toISOString().split('T')[0] });
+    const stock = await getStock(req.params.date);
+    const event = await getSaleEvent(req.params.date);
+    const slots = (await getSlots(req.params.date))
+      .map(({ id, start_time, end_time, label, remaining }) => ({ id, start_time, end_time, label, remaining }));
+    const { rows: soldOut } = await pool.query(
+      `SELECT si.product FROM stock_items si WHERE si.sale_date = $1 AND ${SOLD_OUT_SQL}`, [req.params.date]);
+    const waitlist = new Set(soldOut.map(r => r.product));
+    res.json({
+      ...stock,
+      items: stock.items.filter(i => i.active).map(i => ({
+        ...i, sold_out: waitlist.has(i.product), max_per_customer: event.max_per_customer[i.product] ?? null
+      })),
+      slots, pix: Boolean(PIX_KEY), event,
+      // Lista de espera só quando dá para avisar o cliente pelo WhatsApp
+      waitlist: canNotifyCustomers(),
+      // Entrega só aparece com alguma zona ativa cadastrada
+      delivery: (await pool.query('SELECT 1 FROM delivery_zones WHERE active LIMIT 1')).rows.length > 0
+    });
   } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
 // Registrar reserva pública (cliente final)
 app.post('/api/public/reserva', reservaLimiter, async (req, res) => {
-  const { name, phone, items, order_date } = req.body;
-  if (!name || !phone || !items?.length || !order_date)
+  const { name, phone, order_date, pickup_slot_id } = req.body;
+  // Pix antecipado só quando há chave configurada; senão paga na retirada
+  const payPix = req.body.payment === 'pix' && Boolean(PIX_KEY);
+  if (!name || !phone || !req.body.items?.length || !order_date)
     return res.status(400).json({ error: 'Nome, telefone, data e itens são obrigatórios.' });
 
   // Valida telefone básico
-  const cleanPhone = phone.replace(/\D/g, '');
+  const cleanPhone = String(phone).replace(/\D/g, '');
   if (cleanPhone.length < 10)
     return res.status(400).json({ error: 'Telefone inválido. Use DDD + número.' });
 
-  // Verifica se há estoque na data
-  const { rows: stockRows } = await pool.query('SELECT * FROM stock WHERE sale_date = $1', [order_date]);
-  if (!stockRows.length) return res.status(400).json({ error: 'Data indisponível para reservas.' });
-  const stock = stockRows[0];
+  // Mesmo envio repetido (duplo toque, nova tentativa após queda da rede): devolve o pedido já criado
+  const key = idempotencyKey(req);
+  // Consultas antes da transação: data inválida ou falha do banco viram 400/500, não derrubam o processo
+  let event, stock, delivery, slot, items, total, grandTotal;
+  try {
+    const previous = await findIdempotentOrder(pool, key, cleanPhone);
+    if (previous) return res.json(reservaReplay(previous, 'Reserva já registrada. Os detalhes foram enviados pelo WhatsApp.'));
+    if (await isPhoneBlocked(cleanPhone)) return res.status(403).json({ error: BLOCKED_MESSAGE });
 
-  // Verifica disponibilidade por item
-  for (const item of items) {
-    const qty = parseFloat(item.qty) || 0;
-    if (qty <= 0) continue;
-    const avail = parseFloat(stock[item.type] || 0);
-    if (avail < qty) {
-      const labels = { meat: 'Carne', ribs: 'Costela', chicken: 'Frango' };
-      return res.status(400).json({ error: `Quantidade indisponível para ${labels[item.type] || item.type}. Disponível: ${avail}` });
-    }
-  }
+    // Verifica se há estoque na data
+    if (!isIsoDate(order_date)) return res.status(400).json({ error: 'Data indisponível para reservas.' });
+    const { rows: stockRows } = await pool.query('SELECT 1 FROM stock WHERE sale_date = $1', [order_date]);
+    if (!stockRows.length) return res.status(400).json({ error: 'Data indisponível para reservas.' });
+    event = await getSaleEvent(order_date);
+    assertSaleOpen(event);
+    stock = Object.fromEntries((await getStock(order_date)).items.filter(i => i.active).map(i => [i.product, i]));
+
+    // Entrega: endereço dentro de uma zona; a taxa vem da tabela
+    delivery = await resolveDelivery(pool, req.body);
+
+    // Datas com janelas de retirada exigem a escolha de um horário (entrega não usa janela)
+    const slots = delivery.fulfillment === 'pickup' ? await getSlots(order_date) : [];
+    slot = slots.find(s => s.id === Number(pickup_slot_id));
+    if (slots.length && !slot) return res.status(400).json({ error: 'Escolha um horário de retirada.' });
+
+    // Preços vêm do catálogo; o total exibido ao cliente (com a taxa) precisa conferir.
+    // total = só os itens, que é o que conta para o pedido mínimo do evento.
+    ({ items, total } = priceItems(req.body.items, (await getProducts()).filter(p => stock[p.code])));
+    grandTotal = Math.round((total + delivery.fee) * 100) / 100;
+    checkClientTotal(req.body.total, grandTotal);
+  } catch (e) { return sendError(res, e); }
 
-  const total = items.reduce((s, i) => s + (parseFloat(i.subtotal) || 0), 0);
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
+    if (slot) await reserveSlot(client, slot.id, order_date);
+    // Oferta da lista de espera: devolve a quantidade separada para esta reserva usar
+    const offer = req.body.waitlist_token ? await lockWaitlistOffer(client, req.body.waitlist_token) : null;
+    if (offer) {
+      if (isoDate(offer.sale_date) !== order_date) throw httpError(400, 'A oferta da lista de espera é para outra data.');
+      await applyStockChanges(client, [{ date: order_date, product: offer.product, delta: parseFloat(offer.qty) }],
+        { reason: 'waitlist', note: `Oferta #${offer.id} resgatada` });
+    }
+    // A linha do cliente fica travada até o fim: envios simultâneos do mesmo telefone passam um de cada vez
+    const customerId = await upsertCustomer(client, name, cleanPhone);
+    const previous = await findIdempotentOrder(client, key, cleanPhone);
+    if (previous) {
+      await client.query('ROLLBACK');
+      return res.json(reservaReplay(previous, 'Reserva já registrada. Os detalhes foram enviados pelo WhatsApp.'));
+    }
+
+    // Oferta da lista de espera pode completar uma reserva que o cliente já tem
+    if (!offer) {
+      const open = await openReservations(client, customerId);
+      const sameDate = open.find(o => isoDate(o.order_date) === order_date);
+      if (sameDate && RESERVA_DUPLICATES === 'reject') {
+        throw httpError(409, 'Você já tem uma reserva para esta data. Para mudar os itens, use o link de alteração enviado no WhatsApp.');
+      }
+      if (sameDate) {
+        const merged = await mergeReservation(client, sameDate.id, items, event, { delivery, slot });
+        if (key) await client.query('UPDATE orders SET idempotency_key = $2 WHERE id = $1', [merged.id, key]);
+        await notifyOwner(client, 'order_change',
+          managedChangeMessage('➕ *Biazzi — Nova reserva somada à existente*', merged), merged.id);
+        const mergedPix = merged.pix_status === 'pending' && merged.pix_txid ? pixInfo(merged) : null;
+        const msgMerged = [
+          `✅ *Itens somados à sua reserva!*`,
+          ``,
+          `Olá, *${merged.name}*! Você já tinha uma reserva para esta data no`,
+          `🥩 *Biazzi Empório da Carne* — os novos itens entraram nela.`,
+          ``,
+          ...(merged.pickup ? [`🕐 *Retirada:* ${merged.pickup}`] : []),
+          `📦 *Itens reservados:*`,
+          ...merged.items.map(i => `  • ${i.name}: ${parseFloat(i.qty)} ${i.unit}`),
+          ...deliveryMessageLines(merged),
+          `💰 *Total:* R$ ${parseFloat(merged.total).toFixed(2).replace('.', ',')}`,
+          ...(mergedPix ? [`⚡ *Pague com Pix* (copia e cola):`, mergedPix.payload] : []),
+          ``,
+          `✏️ *Alterar ou cancelar* até ${fmtDeadline(manageDeadline(order_date))}:`,
+          manageUrl(merged.id)
+        ].join('\n');
+        await notifyCustomer(client, cleanPhone, 'order_confirmation', msgMerged, merged.id);
+        await client.query('COMMIT');
+        processOutbox();
+        return res.json({
+          ...reservaReplay(merged, 'Você já tinha uma reserva para esta data: os itens foram somados a ela. Confira o resumo no WhatsApp.'),
+          merged: true
+        });
+      }
+      if (RESERVA_MAX_OPEN_PER_PHONE > 0 && open.length >= RESERVA_MAX_OPEN_PER_PHONE) {
+        throw httpError(409, `Limite de reservas em aberto por telefone atingido (${RESERVA_MAX_OPEN_PER_PHONE}). Retire ou cancele uma delas antes de reservar de novo.`);
+      }
+    }
+    await assertSaleLimits(client, event, { items, total, customerId });
     const { rows } = await client.query(
-      `INSERT INTO orders (name, phone, total, payment, order_date, status)
-       VALUES ($1,$2,$3,'a_combinar',$4,'pending') RETURNING id`,
-      [name.trim(), cleanPhone, total, order_date]
+      `INSERT INTO orders (name, phone, total, payment, order_date, status, pickup_slot_id, customer_id, pix_txid, pix_status,
+                           idempotency_key, fulfillment, delivery_address, delivery_fee, delivery_zone_id)
+       VALUES ($1,$2,$3,$4,$5,'pending',$6,$7,$8,$9,$10,$11,$12,$13,$14) RETURNING id, total, pix_txid`,
+      [name.trim(), cleanPhone, grandTotal, payPix ? 'pix' : 'a_combinar', order_date, slot?.id || null, customerId,
+       payPix ? newPixTxid() : null, payPix ? 'pending' : null, key,
+       delivery.fulfillment, delivery.address, delivery.fee, delivery.zoneId]
     );
     const orderId = rows[0].id;
-    for (const item of items) {
-      if (!parseFloat(item.qty)) continue;
-      await client.query(
-        `INSERT INTO order_items (order_id, type, qty, price, subtotal) VALUES ($1,$2,$3,$4,$5)`,
-        [orderId, item.type, item.qty, item.price || 0, item.subtotal || 0]
-      );
+    const pix = payPix ? pixInfo(rows[0]) : null;
+    await insertOrderItems(client, orderId, items);
+    // Abate do estoque — verifica a disponibilidade com as linhas travadas
+    await applyStockChanges(client, stockChanges(order_date, items, -1), { reason: 'reservation', orderId });
+    if (offer) {
+      await client.query(`UPDATE waitlist SET status = 'claimed', order_id = $2, updated_at = NOW() WHERE id = $1`, [offer.id, orderId]);
+      // Se pediu menos que o separado, a sobra segue para o próximo da fila
+      await offerWaitlist(client, [{ date: order_date, product: offer.product }]);
     }
-    // Abate do estoque
-    const meatQty    = items.filter(i=>i.type==='meat').reduce((s,i)=>s+parseFloat(i.qty||0),0);
-    const ribsQty    = items.filter(i=>i.type==='ribs').reduce((s,i)=>s+parseFloat(i.qty||0),0);
-    const chickenQty = items.filter(i=>i.type==='chicken').reduce((s,i)=>s+parseFloat(i.qty||0),0);
-    if (meatQty || ribsQty || chickenQty) {
-      await client.query(`
-        UPDATE stock SET
-          meat    = GREATEST(0, meat - $1),
-          ribs    = GREATEST(0, ribs - $2),
-          chicken = GREATEST(0, chicken - $3),
-          updated_at = NOW()
-        WHERE sale_date = $4`,
-        [meatQty, ribsQty, chickenQty, order_date]
-      );
-    }
-    await client.query('COMMIT');
+    await recordOrderEvent(client, orderId, 'create', null, null, await getOrderWithItems(orderId, client));
 
-    // Notificações WhatsApp
+    // Notificações WhatsApp — entram na fila junto com o pedido
     const dateBR = new Date(order_date + 'T12:00:00').toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit' });
-    const itemLines = items.filter(i=>parseFloat(i.qty)>0).map(i => {
-      const labels = { meat:'🥩 Carne', ribs:'🥩 Costela', chicken:'🍗 Frango' };
-      const unit   = i.type==='chicken' ? ' un' : ' kg';
-      return `  • ${labels[i.type]||i.type}: ${parseFloat(i.qty)}${unit}`;
-    }).join('\n');
+    const itemLines = items.map(i => `  • ${i.name}: ${i.qty} ${i.unit}`).join('\n');
+    const deliveryLines = deliveryMessageLines({ fulfillment: delivery.fulfillment, delivery_address: delivery.address, delivery_fee: delivery.fee });
+    const delivering = delivery.fulfillment === 'delivery';
 
     // 1. WhatsApp para o DONO (notificação de novo pedido)
     const msgDono = [
@@ -512,13 +2888,17 @@ app.post('/api/public/reserva', reservaLimiter, async (req, res) => {
       `👤 *${name.trim()}*`,
       `📱 ${cleanPhone}`,
       `📅 ${dateBR}`,
+      ...(slot ? [`🕐 Retirada: ${slot.label}`] : []),
       ``,
       `📦 *Itens:*`,
       itemLines,
+      ...deliveryLines,
+      `💰 Total: R$ ${grandTotal.toFixed(2).replace('.', ',')}`,
+      ...(pix ? [`⚡ Pagamento via Pix — aguardando confirmação`] : []),
       ``,
       `_Pedido recebido via link de reserva_`
     ].join('\n');
-    sendWhatsApp(msgDono).catch(() => {});
+    await notifyOwner(client, 'new_order', msgDono, orderId);
 
     // 2. WhatsApp para o CLIENTE (confirmação)
     const msgCliente = [
@@ -528,20 +2908,404 @@ app.post('/api/public/reserva', reservaLimiter, async (req, res) => {
       `🥩 *Biazzi Empório da Carne* foi registrada.`,
       ``,
       `📅 *Data:* ${dateBR}`,
+      ...(slot ? [`🕐 *Retirada:* ${slot.label}`] : []),
       `📦 *Itens reservados:*`,
       itemLines,
+      ...deliveryLines,
+      ``,
+      ...(pix ? [
+        `💰 *Total:* R$ ${grandTotal.toFixed(2).replace('.', ',')}`,
+        `⚡ *Pague com Pix* (copia e cola):`,
+        pix.payload,
+        `QR Code: ${pix.qr_url}`,
+      ] : delivering ? [
+        `💰 *Total:* R$ ${grandTotal.toFixed(2).replace('.', ',')}`,
+        `⚠️ O pagamento é feito na entrega.`
+      ] : [`⚠️ O pagamento é feito na retirada.`]),
+      `✏️ *Alterar ou cancelar* até ${fmtDeadline(manageDeadline(order_date))}:`,
+      manageUrl(orderId),
       ``,
-      `⚠️ O pagamento é feito na retirada.`,
       `Em caso de dúvidas, entre em contato conosco.`,
       ``,
       `_Até domingo! 🙌_`
     ].join('\n');
-    sendWhatsAppToNumber(cleanPhone, msgCliente).catch(() => {});
+    const confirmation = await notifyCustomer(client, cleanPhone, 'order_confirmation', msgCliente, orderId);
+    await client.query('COMMIT');
+    processOutbox();
 
-    res.status(201).json({ success: true, orderId, message: 'Reserva confirmada! Você receberá uma confirmação pelo WhatsApp.' });
+    res.status(201).json({ success: true, orderId, total: grandTotal, pickup: slot?.label || null, pix, manage_url: manageUrl(orderId), message: confirmation ? 'Reserva confirmada! Você receberá uma confirmação pelo WhatsApp.' : 'Reserva confirmada!' });
   } catch (e) {
     await client.query('ROLLBACK');
-    res.status(500).json({ error: e.message });
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// ─── AUTOATENDIMENTO (link /reserva/:token) ───────────────────────────────────
+// O token é o id do pedido assinado com HMAC: não dá para adivinhar nem trocar
+// o id. Sem MANAGE_LINK_SECRET os links valem só até o próximo restart.
+const MANAGE_LINK_SECRET = process.env.MANAGE_LINK_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.MANAGE_LINK_SECRET) console.warn('⚠️ MANAGE_LINK_SECRET não definido — links de reserva expiram ao reiniciar.');
+// Prazo para o cliente alterar: horas antes do início do dia da retirada (6 = sábado 18h para domingo)
+const MANAGE_CUTOFF_HOURS = parseFloat(process.env.MANAGE_CUTOFF_HOURS || '6');
+
+// kind separa os usos ('reserva', 'espera'): um token não vale no lugar do outro
+function linkSignature(kind, id) {
+  return crypto.createHmac('sha256', MANAGE_LINK_SECRET).update(`${kind}:${id}`).digest('base64url');
+}
+
+function signedToken(kind, id) {
+  return `${id}.${linkSignature(kind, id)}`;
+}
+
+// Devolve o id ou null se a assinatura não confere
+function verifySignedToken(kind, token) {
+  const [id, sig] = String(token || '').split('.');
+  if (!/^\d+$/.test(id) || !sig) return null;
+  const expected = linkSignature(kind, id);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) return null;
+  return Number(id);
+}
+
+const manageToken = orderId => signedToken('reserva', orderId);
+const verifyManageToken = token => verifySignedToken('reserva', token);
+
+function manageUrl(orderId) {
+  return `${(process.env.APP_URL || '').replace(/\/$/, '')}/reserva/${manageToken(orderId)}`;
+}
+
+function manageDeadline(orderDate) {
+  return new Date(new Date(isoDate(orderDate) + 'T00:00:00').getTime() - MANAGE_CUTOFF_HOURS * 3600000);
+}
+
+function fmtDeadline(d) {
+  return d.toLocaleString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' });
+}
+
+// Pedido como o cliente vê, com os produtos que pode pedir na data
+async function publicManagedOrder(order) {
+  const deadline = manageDeadline(order.order_date);
+  const can_change = order.status === 'pending' && Date.now() < deadline.getTime();
+  const held = Object.fromEntries(order.items.map(i => [i.type, parseFloat(i.qty)]));
+  const products = can_change
+    ? (await getStock(isoDate(order.order_date))).items
+        .filter(i => (i.active && i.qty > 0) || held[i.product])
+        .map(i => ({ product: i.product, name: i.name, unit: i.unit, price: i.price, step: i.step,
+                     available: i.qty + (held[i.product] || 0) }))
+    : [];
+  return {
+    id: order.id, name: order.name, order_date: isoDate(order.order_date), pickup: order.pickup,
+    status: order.status, payment: order.payment, total: parseFloat(order.total),
+    fulfillment: order.fulfillment, delivery_address: deliveryAddressLine(order.delivery_address) || null,
+    delivery_fee: order.delivery_fee,
+    items: order.items.map(i => ({ type: i.type, name: i.name, unit: i.unit, qty: parseFloat(i.qty),
+                                   price: parseFloat(i.price), subtotal: parseFloat(i.subtotal) })),
+    pix: order.pix_status === 'pending' && order.pix_txid ? pixInfo(order) : null,
+    deadline: deadline.toISOString(), can_change, products
+  };
+}
+
+// Trava o pedido do token e confere se ainda pode ser alterado pelo cliente
+async function lockManagedOrder(client, token) {
+  const id = verifyManageToken(token);
+  if (!id) throw httpError(404, 'Link de reserva inválido.');
+  const { rows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [id]);
+  if (!rows.length) throw httpError(404, 'Reserva não encontrada.');
+  const order = rows[0];
+  if (order.status !== 'pending') throw httpError(409, 'Esta reserva já foi finalizada e não pode mais ser alterada.');
+  const deadline = manageDeadline(order.order_date);
+  if (Date.now() >= deadline.getTime())
+    throw httpError(409, `Alterações online encerradas em ${fmtDeadline(deadline)}. Fale conosco pelo WhatsApp.`);
+  return order;
+}
+
+function managedChangeMessage(title, order) {
+  return [
+    title,
+    ``,
+    `👤 *${order.name}*`,
+    `📱 ${order.phone}`,
+    `📅 ${new Date(order.order_date + 'T12:00:00').toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit' })}`,
+    ...(order.pickup ? [`🕐 Retirada: ${order.pickup}`] : []),
+    ``,
+    `📦 *Itens:*`,
+    ...order.items.map(i => `  • ${i.name || i.type}: ${parseFloat(i.qty)} ${i.unit || ''}`.trimEnd()),
+    ...deliveryMessageLines(order),
+    `💰 Total: R$ ${parseFloat(order.total).toFixed(2).replace('.', ',')}`,
+    ``,
+    `_Pedido #${order.id} alterado pelo link de reserva_`
+  ].join('\n');
+}
+
+app.get('/api/public/reserva/:token', async (req, res) => {
+  const id = verifyManageToken(req.params.token);
+  if (!id) return res.status(404).json({ error: 'Link de reserva inválido.' });
+  try {
+    const order = await getOrderWithItems(id);
+    if (!order) return res.status(404).json({ error: 'Reserva não encontrada.' });
+    res.json(await publicManagedOrder(order));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Troca de quantidades: { items: [{ type, qty }], total? } — mesmas regras de estoque do painel
+app.put('/api/public/reserva/:token', reservaLimiter, async (req, res) => {
+  if (!Array.isArray(req.body.items)) return res.status(400).json({ error: 'Informe os itens da reserva.' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const order = await lockManagedOrder(client, req.params.token);
+    // Cliente só mexe em produto e quantidade; ajustes de preço feitos pela equipe continuam valendo
+    const { rows: current } = await client.query('SELECT * FROM order_items WHERE order_id = $1', [order.id]);
+    const overrides = Object.fromEntries(current.filter(i => i.override_reason)
+      .map(i => [i.type, { price_override: i.price, override_reason: i.override_reason }]));
+    const items = req.body.items.map(i => ({ type: i.type, qty: i.qty, ...overrides[i.type] }));
+    // Alterar vale como reservar de novo: segue a janela e os limites do evento de venda
+    const event = await getSaleEvent(isoDate(order.order_date), client);
+    assertSaleOpen(event);
+    // Mesma regra da reserva nova: só produtos ativos oferecidos na data
+    const offered = new Set((await getStock(isoDate(order.order_date))).items.filter(i => i.active).map(i => i.product));
+    const unavailable = items.find(i => parseFloat(i.qty) > 0 && !offered.has(i.type));
+    if (unavailable) throw httpError(400, `Produto inválido: ${unavailable.type}`);
+    const updated = await updateOrder(client, order.id, { items, total: req.body.total }, null);
+    await assertSaleLimits(client, event, {
+      items: updated.items, total: updated.items_total, customerId: updated.customer_id, excludeOrderId: updated.id
+    });
+    await notifyOwner(client, 'order_change', managedChangeMessage('✏️ *Biazzi — Reserva alterada pelo cliente*', updated), order.id);
+    await client.query('COMMIT');
+    processOutbox();
+    res.json(await publicManagedOrder(updated));
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+app.post('/api/public/reserva/:token/cancel', reservaLimiter, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const order = await lockManagedOrder(client, req.params.token);
+    const updated = await updateOrder(client, order.id, { status: 'cancelled' }, null);
+    await notifyOwner(client, 'order_change', managedChangeMessage('❌ *Biazzi — Reserva cancelada pelo cliente*', updated), order.id);
+    await client.query('COMMIT');
+    processOutbox();
+    res.json(await publicManagedOrder(updated));
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+// ─── LISTA DE ESPERA ──────────────────────────────────────────────────────────
+// Cliente entra na fila por data e produto com a quantidade desejada. Quando o
+// estoque volta (cancelamento, edição, aumento de estoque, oferta expirada), os
+// próximos da fila — em ordem, sem pular ninguém — recebem um link de resgate
+// válido por WAITLIST_CLAIM_HOURS. A quantidade ofertada fica separada no livro
+// (motivo 'waitlist') até o resgate ou a expiração.
+const WAITLIST_CLAIM_HOURS = parseFloat(process.env.WAITLIST_CLAIM_HOURS || '2');
+
+const waitlistToken = id => signedToken('espera', id);
+
+function waitlistUrl(id) {
+  return `${(process.env.APP_URL || '').replace(/\/$/, '')}/reserva?espera=${waitlistToken(id)}`;
+}
+
+// Oferece o estoque livre aos próximos da fila das datas/produtos alterados.
+// Chamada dentro da transação que devolveu estoque; changes: [{ date, product, delta? }]
+async function offerWaitlist(client, changes) {
+  const keys = [...new Set(changes.filter(c => !(c.delta < 0)).map(c => `${isoDate(c.date)}|${c.product}`))].sort();
+  for (const key of keys) {
+    const [date, product] = key.split('|');
+    if (date < localDate()) continue;
+    const { rows: queue } = await client.query(`
+      SELECT w.*, p.name AS product_name, p.unit FROM waitlist w JOIN products p ON p.code = w.product
+      WHERE w.sale_date = $1 AND w.product = $2 AND w.status = 'waiting'
+      ORDER BY w.id FOR UPDATE OF w`, [date, product]);
+    if (!queue.length) continue;
+    const { rows: [si] } = await client.query(
+      'SELECT qty FROM stock_items WHERE sale_date = $1 AND product = $2 FOR UPDATE', [date, product]);
+    let available = parseFloat(si?.qty ?? 0);
+    for (const w of queue) {
+      const qty = parseFloat(w.qty);
+      if (qty > available) break;
+      const expires = new Date(Date.now() + WAITLIST_CLAIM_HOURS * 3600 * 1000);
+      const dateBR = new Date(date + 'T12:00:00').toLocaleDateString('pt-BR', { weekday: 'long', day: '2-digit', month: '2-digit' });
+      const notified = await notifyCustomer(client, w.phone, 'waitlist_offer', [
+        `🎉 *Chegou a sua vez!*`,
+        ``,
+        `Olá, *${w.name}*! Liberou ${w.product_name} para ${dateBR} no`,
+        `🥩 *Biazzi Empório da Carne*.`,
+        ``,
+        `Separamos *${qty} ${w.unit}* para você até ${expires.toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit' })}.`,
+        `Confirme a reserva pelo link:`,
+        waitlistUrl(w.id),
+        ``,
+        `_Depois desse horário a vez passa para o próximo da fila._`
+      ].join('\n'));
+      // Sem aviso o cliente nunca saberia da oferta: o estoque fica livre e ele continua esperando
+      if (!notified) continue;
+      await applyStockChanges(client, [{ date, product, delta: -qty }],
+        { reason: 'waitlist', note: `Separado para a lista de espera #${w.id}` });
+      available -= qty;
+      await client.query(`
+        UPDATE waitlist SET status = 'offered', offered_at = NOW(), updated_at = NOW(), claim_expires_at = $2
+        WHERE id = $1`, [w.id, expires]);
+    }
+  }
+}
+
+// Trava a oferta do token para resgate; erro se não está mais valendo
+async function lockWaitlistOffer(client, token) {
+  const id = verifySignedToken('espera', token);
+  if (!id) throw httpError(404, 'Link da lista de espera inválido.');
+  const { rows: [w] } = await client.query('SELECT * FROM waitlist WHERE id = $1 FOR UPDATE', [id]);
+  if (!w) throw httpError(404, 'Inscrição na lista de espera não encontrada.');
+  if (w.status !== 'offered' || w.claim_expires_at < new Date())
+    throw httpError(409, 'Esta oferta da lista de espera não está mais disponível.');
+  return w;
+}
+
+// Devolve ao estoque as ofertas vencidas ou desistidas e chama os próximos da fila
+async function releaseWaitlistOffers(client, offers, status) {
+  for (const w of offers) {
+    await client.query('UPDATE waitlist SET status = $2, updated_at = NOW() WHERE id = $1', [w.id, status]);
+    await applyStockChanges(client, [{ date: isoDate(w.sale_date), product: w.product, delta: parseFloat(w.qty) }],
+      { reason: 'waitlist', note: `Oferta #${w.id} ${status === 'expired' ? 'expirou' : 'cancelada'}` });
+  }
+  await offerWaitlist(client, offers.map(w => ({ date: w.sale_date, product: w.product })));
+}
+
+async function expireWaitlistOffers() {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(`
+      SELECT * FROM waitlist WHERE status = 'offered' AND claim_expires_at < NOW()
+      ORDER BY id FOR UPDATE SKIP LOCKED`);
+    if (rows.length) await releaseWaitlistOffers(client, rows, 'expired');
+    await client.query('COMMIT');
+    if (rows.length) {
+      console.log(`[Lista de espera] ${rows.length} oferta(s) expirada(s)`);
+      processOutbox();
+    }
+  } catch (e) {
+    await client.query('ROLLBACK');
+    console.error('[Lista de espera] Erro ao expirar ofertas:', e.message);
+  } finally { client.release(); }
+}
+
+function formatWaitlistEntry(w) {
+  return {
+    id: w.id, sale_date: isoDate(w.sale_date), product: w.product, product_name: w.product_name, unit: w.unit,
+    qty: parseFloat(w.qty), name: w.name, phone: w.phone, status: w.status,
+    claim_expires_at: w.claim_expires_at, order_id: w.order_id, created_at: w.created_at,
+    ...(w.position != null ? { position: Number(w.position) } : {})
+  };
+}
+
+const WAITLIST_SELECT = `
+  SELECT w.*, p.name AS product_name, p.unit,
+         CASE WHEN w.status = 'waiting' THEN (
+           SELECT COUNT(*) FROM waitlist q
+           WHERE q.sale_date = w.sale_date AND q.product = w.product AND q.status = 'waiting' AND q.id <= w.id
+         ) END AS position
+  FROM waitlist w JOIN products p ON p.code = w.product`;
+
+// Entrar na fila: { sale_date, product, qty, name, phone }
+app.post('/api/public/waitlist', reservaLimiter, async (req, res) => {
+  const { sale_date, product, name, phone } = req.body;
+  const qty = parseFloat(req.body.qty);
+  if (!sale_date || !product || !name || !phone || !(qty > 0))
+    return res.status(400).json({ error: 'Nome, telefone, data, produto e quantidade são obrigatórios.' });
+  const cleanPhone = String(phone).replace(/\D/g, '');
+  if (cleanPhone.length < 10) return res.status(400).json({ error: 'Telefone inválido. Use DDD + número.' });
+  if (sale_date < localDate()) return res.status(400).json({ error: 'Data indisponível.' });
+  if (!canNotifyCustomers())
+    return res.status(503).json({ error: 'A lista de espera não está disponível no momento.' });
+  try {
+    if (await isPhoneBlocked(cleanPhone)) return res.status(403).json({ error: BLOCKED_MESSAGE });
+    const item = (await getStock(sale_date)).items.find(i => i.product === product && i.active);
+    const { rows: tracked } = await pool.query('SELECT 1 FROM stock WHERE sale_date = $1', [sale_date]);
+    if (!item || !tracked.length) return res.status(400).json({ error: 'Produto indisponível nesta data.' });
+    const event = await getSaleEvent(sale_date);
+    assertSaleOpen(event);
+    const max = event.max_per_customer[product];
+    if (max != null && qty > max)
+      return res.status(400).json({ error: `O limite é de ${String(max).replace('.', ',')} ${item.unit} de ${item.name} por cliente nesta data.`, max_per_customer: max });
+    if (item.qty >= qty)
+      return res.status(409).json({ error: 'Ainda há estoque para essa quantidade — faça a reserva normalmente.', available: item.qty });
+    // Mesmo telefone na mesma fila: atualiza a quantidade sem perder a vez
+    const { rows: [existing] } = await pool.query(`
+      SELECT id FROM waitlist WHERE sale_date = $1 AND product = $2 AND phone = $3 AND status = 'waiting'`,
+      [sale_date, product, cleanPhone]);
+    const { rows: [w] } = existing
+      ? await pool.query('UPDATE waitlist SET qty = $2, name = $3, updated_at = NOW() WHERE id = $1 RETURNING id', [existing.id, qty, name.trim()])
+      : await pool.query(
+          'INSERT INTO waitlist (sale_date, product, qty, name, phone) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+          [sale_date, product, qty, name.trim(), cleanPhone]);
+    const { rows: [entry] } = await pool.query(`${WAITLIST_SELECT} WHERE w.id = $1`, [w.id]);
+    res.status(existing ? 200 : 201).json({
+      ...formatWaitlistEntry(entry), token: waitlistToken(w.id),
+      message: `Você é o ${entry.position}º da fila. Avisaremos pelo WhatsApp se ${entry.product_name} liberar.`
+    });
+  } catch (e) { sendError(res, e); }
+});
+
+app.get('/api/public/waitlist/:token', async (req, res) => {
+  const id = verifySignedToken('espera', req.params.token);
+  if (!id) return res.status(404).json({ error: 'Link da lista de espera inválido.' });
+  try {
+    const { rows: [w] } = await pool.query(`${WAITLIST_SELECT} WHERE w.id = $1`, [id]);
+    if (!w) return res.status(404).json({ error: 'Inscrição na lista de espera não encontrada.' });
+    res.json(formatWaitlistEntry(w));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Sair da fila ou recusar a oferta (a vez passa para o próximo)
+app.post('/api/public/waitlist/:token/cancel', reservaLimiter, async (req, res) => {
+  const id = verifySignedToken('espera', req.params.token);
+  if (!id) return res.status(404).json({ error: 'Link da lista de espera inválido.' });
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [w] } = await client.query('SELECT * FROM waitlist WHERE id = $1 FOR UPDATE', [id]);
+    if (!w) throw httpError(404, 'Inscrição na lista de espera não encontrada.');
+    if (w.status === 'offered') await releaseWaitlistOffers(client, [w], 'cancelled');
+    else if (w.status === 'waiting') await client.query(`UPDATE waitlist SET status = 'cancelled', updated_at = NOW() WHERE id = $1`, [id]);
+    else throw httpError(409, 'Esta inscrição já foi encerrada.');
+    await client.query('COMMIT');
+    processOutbox();
+    res.json({ success: true });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
+  } finally { client.release(); }
+});
+
+app.get('/api/waitlist', async (req, res) => {
+  try {
+    const { rows } = await pool.query(`${WAITLIST_SELECT}
+      WHERE ($1::date IS NULL OR w.sale_date = $1) AND ($2::text IS NULL OR w.status = $2)
+      ORDER BY w.sale_date, p.sort_order, w.id`, [req.query.date || null, req.query.status || null]);
+    res.json(rows.map(formatWaitlistEntry));
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// Remoção pela equipe; oferta em aberto devolve o estoque e chama o próximo
+app.delete('/api/waitlist/:id', async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: [w] } = await client.query('SELECT * FROM waitlist WHERE id = $1 FOR UPDATE', [req.params.id]);
+    if (!w) { await client.query('ROLLBACK'); return res.status(404).json({ error: 'Not found' }); }
+    if (w.status === 'offered') await releaseWaitlistOffers(client, [w], 'cancelled');
+    else if (w.status === 'waiting') await client.query(`UPDATE waitlist SET status = 'cancelled', updated_at = NOW() WHERE id = $1`, [w.id]);
+    else { await client.query('ROLLBACK'); return res.status(409).json({ error: 'Entry is already closed' }); }
+    await client.query('COMMIT');
+    processOutbox();
+    res.json({ success: true });
+  } catch (e) {
+    await client.query('ROLLBACK');
+    sendError(res, e);
   } finally { client.release(); }
 });
 
@@ -550,15 +3314,155 @@ app.get('/reserva', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'reserva.html'));
 });
 
+// Lista de retirada e etiquetas para impressão (dados via /api/print, com o login do painel)
+app.get('/imprimir', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'imprimir.html'));
+});
+
+// Página do cliente para ver, alterar ou cancelar a reserva
+app.get('/reserva/:token', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'minha-reserva.html'));
+});
+
+// Health check do Render — público, não expõe dados
+app.get('/api/health', async (req, res) => {
+  try {
+    await pool.query('SELECT 1');
+    res.json({ ok: true });
+  } catch (e) { res.status(503).json({ ok: false, error: 'Database unavailable' }); }
+});
+
+// ─── TEMPO REAL (SSE) ─────────────────────────────────────────────────────────
+// O painel acompanha pedidos e estoque por GET /api/events. Os eventos saem com
+// pg_notify dentro da transação de quem mexeu: o Postgres só entrega depois do
+// COMMIT (rollback não avisa ninguém) e qualquer rota que grave pedido ou
+// estoque passa por recordOrderEvent / applyStockChanges.
+const LIVE_CHANNEL = 'painel_live';
+const LIVE_HEARTBEAT_MS = 25 * 1000;
+const liveClients = new Set();
+
+async function liveNotify(db, type, data) {
+  await db.query('SELECT pg_notify($1, $2)', [LIVE_CHANNEL, JSON.stringify({ type, ...data })]);
+}
+
+// Resumo do pedido que vai no evento (o painel recarrega a lista completa)
+function liveOrder(order) {
+  return {
+    id: order.id, name: order.name, order_date: isoDate(order.order_date),
+    status: order.status, total: parseFloat(order.total), pickup: order.pickup || null
+  };
+}
+
+function liveSend(res, payload) {
+  res.write(`data: ${payload}\n\n`);
+}
+
+// Conexão dedicada ao LISTEN. Se cair, reconecta e manda os painéis recarregarem
+// tudo — eventos do intervalo se perderam.
+async function startLiveListener() {
+  const client = await pool.connect();
+  client.on('notification', msg => {
+    for (const res of liveClients) liveSend(res, msg.payload);
+  });
+  client.on('error', e => {
+    console.error('[Tempo real] Conexão de escuta caiu:', e.message);
+    client.release(true);
+    setTimeout(() => startLiveListener()
+      .then(() => { for (const res of liveClients) liveSend(res, JSON.stringify({ type: 'resync' })); })
+      .catch(err => console.error('[Tempo real] Erro ao reconectar:', err.message)), 5000);
+  });
+  await client.query(`LISTEN ${LIVE_CHANNEL}`);
+}
+
+app.get('/api/events', (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // proxy do Render não segura o stream
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  liveSend(res, JSON.stringify({ type: 'hello', user: publicUser(req.user) }));
+  liveClients.add(res);
+
+  // Heartbeat mantém a conexão aberta atrás de proxies e encerra o stream
+  // quando a sessão expira, sai ou o usuário é desativado
+  const heartbeat = setInterval(async () => {
+    try {
+      if (!(await loadSession(req))) {
+        liveSend(res, JSON.stringify({ type: 'logout' }));
+        return res.end();
+      }
+      res.write(': ping\n\n');
+    } catch (e) { console.error('[Tempo real] Erro no heartbeat:', e.message); }
+  }, LIVE_HEARTBEAT_MS);
+
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    liveClients.delete(res);
+  });
+});
+
 // ─── AUTH ─────────────────────────────────────────────────────────────────────
-const crypto = require('crypto');
+const ROLES = ['owner', 'attendant', 'readonly'];
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 24;
 
 function generateToken() {
   return crypto.randomBytes(32).toString('hex');
 }
 
-// In-memory token store (survives restarts via re-login)
-const validTokens = new Set();
+// O banco guarda só o hash do token: um dump não dá acesso ao painel
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Formato: scrypt$<salt>$<hash>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await new Promise((resolve, reject) =>
+    crypto.scrypt(password, salt, 64, (err, key) => err ? reject(err) : resolve(key)));
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [, salt, hash] = String(stored).split('$');
+  if (!salt || !hash) return false;
+  const key = await new Promise((resolve, reject) =>
+    crypto.scrypt(String(password), salt, 64, (err, k) => err ? reject(err) : resolve(k)));
+  return crypto.timingSafeEqual(key, Buffer.from(hash, 'hex'));
+}
+
+async function createSession(userId) {
+  const token = generateToken();
+  const { rows } = await pool.query(`
+    INSERT INTO sessions (token_hash, user_id, expires_at)
+    VALUES ($1, $2, NOW() + make_interval(secs => $3)) RETURNING expires_at`,
+    [hashToken(token), userId, SESSION_TTL_HOURS * 3600]
+  );
+  return { token, expires_at: rows[0].expires_at };
+}
+
+// EventSource não envia headers: só o stream /api/events aceita o token na query
+function sessionToken(req) {
+  if (req.headers['x-auth-token']) return req.headers['x-auth-token'];
+  return req.originalUrl.split('?')[0] === '/api/events' ? req.query.token : undefined;
+}
+
+// Usuário da sessão do header x-auth-token (null se ausente, expirada ou inativo)
+async function loadSession(req) {
+  const token = sessionToken(req);
+  if (!token) return null;
+  const { rows } = await pool.query(`
+    SELECT u.id, u.username, u.name, u.role, s.expires_at FROM sessions s
+    JOIN users u ON u.id = s.user_id
+    WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.active`, [hashToken(token)]);
+  return rows[0] || null;
+}
+
+function publicUser(u) {
+  return { id: u.id, username: u.username, name: u.name, role: u.role };
+}
 
 // Rate limit for login attempts
 const loginLimiter = rateLimit({
@@ -567,65 +3471,150 @@ const loginLimiter = rateLimit({
   message: { error: 'Muitas tentativas. Aguarde 15 minutos.' }
 });
 
-app.post('/api/auth/login', loginLimiter, (req, res) => {
-  const { password } = req.body;
-  const APP_PASSWORD = process.env.APP_PASSWORD;
-
-  if (!APP_PASSWORD) {
-    // Se não houver senha configurada, acesso livre (modo dev)
-    const token = generateToken();
-    validTokens.add(token);
-    return res.json({ success: true, token });
-  }
+app.post('/api/auth/login', loginLimiter, async (req, res) => {
+  const { username, password } = req.body;
+  if (!username || !password) return res.status(400).json({ error: 'Informe usuário e senha.' });
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM users WHERE username = $1 AND active', [String(username).trim().toLowerCase()]
+    );
+    if (!rows.length || !(await verifyPassword(password, rows[0].password_hash))) {
+      return res.status(401).json({ error: 'Usuário ou senha incorretos.' });
+    }
+    await pool.query('DELETE FROM sessions WHERE expires_at < NOW()');
+    const { token, expires_at } = await createSession(rows[0].id);
+    res.json({ success: true, token, expires_at, user: publicUser(rows[0]) });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-  if (!password || password !== APP_PASSWORD) {
-    return res.status(401).json({ error: 'Senha incorreta.' });
-  }
+app.post('/api/auth/logout', async (req, res) => {
+  const token = req.headers['x-auth-token'];
+  try {
+    if (token) await pool.query('DELETE FROM sessions WHERE token_hash = $1', [hashToken(token)]);
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
-  const token = generateToken();
-  validTokens.add(token);
-  res.json({ success: true, token });
+app.get('/api/auth/verify', async (req, res) => {
+  try {
+    const user = await loadSession(req);
+    res.json(user ? { valid: true, user: publicUser(user), expires_at: user.expires_at } : { valid: false });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.post('/api/auth/logout', (req, res) => {
-  const token = req.headers['x-auth-token'];
-  if (token) validTokens.delete(token);
-  res.json({ success: true });
+// Middleware de autenticação: carrega req.user e barra escrita de usuários somente leitura
+async function requireAuth(req, res, next) {
+  try {
+    req.user = req.user || await loadSession(req);
+    if (!req.user) return res.status(401).json({ error: 'Não autorizado.' });
+    if (req.user.role === 'readonly' && req.method !== 'GET') {
+      return res.status(403).json({ error: 'Seu usuário tem acesso somente para consulta.' });
+    }
+    next();
+  } catch (e) { res.status(500).json({ error: e.message }); }
+}
+
+// Restringe a rota aos papéis informados, ex: requireRole('owner')
+function requireRole(...roles) {
+  return (req, res, next) => requireAuth(req, res, () => {
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Seu usuário não tem permissão para esta ação.' });
+    }
+    next();
+  });
+}
+
+// Troca da própria senha (qualquer papel, inclusive consulta) — encerra as outras sessões do usuário
+app.post('/api/auth/password', async (req, res) => {
+  const { current_password, new_password } = req.body;
+  try {
+    const user = await loadSession(req);
+    if (!user) return res.status(401).json({ error: 'Não autorizado.' });
+    if (!new_password || String(new_password).length < 6)
+      return res.status(400).json({ error: 'A nova senha precisa ter ao menos 6 caracteres.' });
+    const { rows } = await pool.query('SELECT password_hash FROM users WHERE id = $1', [user.id]);
+    if (!(await verifyPassword(current_password || '', rows[0].password_hash)))
+      return res.status(400).json({ error: 'Senha atual incorreta.' });
+    await pool.query('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2',
+      [await hashPassword(new_password), user.id]);
+    await pool.query('DELETE FROM sessions WHERE user_id = $1 AND token_hash != $2',
+      [user.id, hashToken(req.headers['x-auth-token'])]);
+    res.json({ success: true });
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.get('/api/auth/verify', (req, res) => {
-  const token = req.headers['x-auth-token'];
-  const APP_PASSWORD = process.env.APP_PASSWORD;
-  // Se não há senha configurada, sempre autenticado
-  if (!APP_PASSWORD) return res.json({ valid: true });
-  res.json({ valid: token ? validTokens.has(token) : false });
+// ─── ROUTES: USERS (somente dono) ─────────────────────────────────────────────
+app.get('/api/users', requireRole('owner'), async (req, res) => {
+  try {
+    const { rows } = await pool.query(
+      'SELECT id, username, name, role, active, created_at FROM users ORDER BY active DESC, username'
+    );
+    res.json(rows);
+  } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-// Middleware de autenticação para todas as rotas /api (exceto auth)
-function requireAuth(req, res, next) {
-  const APP_PASSWORD = process.env.APP_PASSWORD;
-  if (!APP_PASSWORD) return next(); // sem senha = livre
-  const token = req.headers['x-auth-token'];
-  if (!token || !validTokens.has(token)) {
-    return res.status(401).json({ error: 'Não autorizado.' });
+app.post('/api/users', requireRole('owner'), async (req, res) => {
+  const { name, password, role = 'attendant' } = req.body;
+  const username = String(req.body.username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,}$/.test(username))
+    return res.status(400).json({ error: 'username must have 3+ chars (letters, numbers, . _ -)' });
+  if (!password || String(password).length < 6)
+    return res.status(400).json({ error: 'password must have at least 6 chars' });
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  try {
+    const { rows } = await pool.query(`
+      INSERT INTO users (username, name, password_hash, role) VALUES ($1, $2, $3, $4)
+      RETURNING id, username, name, role, active, created_at`,
+      [username, (name || '').trim(), await hashPassword(password), role]
+    );
+    res.status(201).json(rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(409).json({ error: `Username already exists: ${username}` });
+    res.status(500).json({ error: e.message });
   }
-  next();
-}
+});
 
-// Aplicar auth em todas as rotas de dados
-app.use('/api/orders', requireAuth);
-app.use('/api/history', requireAuth);
-app.use('/api/stats', requireAuth);
-app.use('/api/whatsapp', requireAuth);
-app.use('/api/stock', requireAuth);
+// Edita nome, papel, ativo ou redefine a senha. Desativar encerra as sessões.
+app.put('/api/users/:id', requireRole('owner'), async (req, res) => {
+  const { name, role, active, password } = req.body;
+  if (role && !ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+  if (password && String(password).length < 6) return res.status(400).json({ error: 'password must have at least 6 chars' });
+  const id = Number(req.params.id);
+  if (id === req.user.id && ((role && role !== 'owner') || active === false))
+    return res.status(400).json({ error: 'You cannot demote or deactivate yourself' });
+  try {
+    const { rows } = await pool.query(`
+      UPDATE users SET
+        name = COALESCE($1, name), role = COALESCE($2, role), active = COALESCE($3, active),
+        password_hash = COALESCE($4, password_hash), updated_at = NOW()
+      WHERE id = $5 RETURNING id, username, name, role, active, created_at`,
+      [name ?? null, role || null, active ?? null, password ? await hashPassword(password) : null, id]
+    );
+    if (!rows.length) return res.status(404).json({ error: 'Not found' });
+    if (active === false || password) await pool.query('DELETE FROM sessions WHERE user_id = $1', [id]);
+    res.json(rows[0]);
+  } catch (e) { res.status(500).json({ error: e.message }); }
+});
 
 // ─── START ────────────────────────────────────────────────────────────────────
-initDB().then(() => {
-  app.listen(PORT, '0.0.0.0', () => {
-    console.log(`\n🥩 Biazzi Empório da Carne — App rodando na porta ${PORT}`);
-    if (process.env.APP_URL) console.log(`   URL: ${process.env.APP_URL}`);
+// Rodando direto (npm start). Os testes carregam o módulo com require() e sobem o
+// app sem os agendadores — ver test/helpers.js.
+if (require.main === module) {
+  initDB().then(() => {
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`\n🥩 Biazzi Empório da Carne — App rodando na porta ${PORT}`);
+      if (process.env.APP_URL) console.log(`   URL: ${process.env.APP_URL}`);
+    });
+    // Worker da fila de notificações (só depois das tabelas existirem)
+    cron.schedule('*/30 * * * * *', processOutbox);
+    processOutbox();
+    cron.schedule('0 * * * * *', expireWaitlistOffers);
+    startLiveListener().catch(e => console.error('[Tempo real] Erro ao iniciar:', e.message));
+    loadSchedules().catch(e => console.error('[Agenda] Erro ao carregar agendamentos:', e.message));
+  }).catch(e => {
+    console.error('Erro ao inicializar banco:', e.message);
+    process.exit(1);
   });
-}).catch(e => {
-  console.error('Erro ao inicializar banco:', e.message);
-  process.exit(1);
-});
+}
+
+module.exports = { app, pool, initDB, processOutbox };
@@ -0,0 +1,64 @@
+// Portão de autenticação: toda rota /api registrada no app responde 401 sem
+// x-auth-token, exceto as públicas (PUBLIC_API em server.js). Uma rota pública
+// nova precisa entrar nesta lista também — de propósito.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./helpers');
+
+const PUBLIC = [
+  'GET /api/health',
+  'POST /api/auth/login',
+  'POST /api/auth/logout',
+  'GET /api/auth/verify', // responde { valid: false } sem sessão
+  /^GET \/api\/public\//,
+  /^(POST|PUT) \/api\/public\/reserva(\/|$)/,
+  /^POST \/api\/public\/waitlist(\/|$)/,
+  'POST /api/public/pix/webhook'
+];
+const isPublic = key => PUBLIC.some(p => typeof p === 'string' ? p === key : p.test(key));
+
+let t;
+before(async () => { t = await startApp(); });
+after(() => t?.close());
+
+// Rotas registradas no Express, com parâmetros preenchidos por valores válidos
+function apiRoutes() {
+  const { app } = require('../server');
+  return app._router.stack
+    .filter(layer => layer.route && String(layer.route.path).startsWith('/api/'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+      method: method.toUpperCase(),
+      route: layer.route.path,
+      path: layer.route.path.replace(/:(\w+)/g, (_, name) => /date/.test(name) ? '2030-01-06' : '1')
+    })));
+}
+
+test('admin routes answer 401 without a token', async () => {
+  const routes = apiRoutes().filter(r => !isPublic(`${r.method} ${r.route}`));
+  assert.ok(routes.length > 20, `only ${routes.length} protected routes found`);
+  const open = [];
+  for (const r of routes) {
+    const { status } = await t.api(r.path, { method: r.method, body: r.method === 'GET' ? undefined : {} });
+    if (status !== 401) open.push(`${r.method} ${r.route} → ${status}`);
+  }
+  assert.deepEqual(open, []);
+});
+
+test('admin routes reject an invalid token', async () => {
+  for (const path of ['/api/orders', '/api/products', '/api/users', '/api/stats']) {
+    const { status } = await t.api(path, { token: 'token-inventado' });
+    assert.equal(status, 401, path);
+  }
+});
+
+test('public allowlist still answers without a token', async () => {
+  const routes = apiRoutes().filter(r => isPublic(`${r.method} ${r.route}`));
+  assert.ok(routes.some(r => r.route === '/api/public/reserva'));
+  for (const r of routes) {
+    const { status } = await t.api(r.path, { method: r.method, body: r.method === 'GET' ? undefined : {} });
+    assert.notEqual(status, 401, `${r.method} ${r.route}`);
+  }
+  // Com token, o painel abre normalmente
+  const token = await t.login();
+  assert.equal((await t.api('/api/orders', { token })).status, 200);
+});
@@ -0,0 +1,78 @@
+// Apoio dos testes de integração. Cada arquivo de teste cria um banco descartável
+// no PostgreSQL local (variáveis PG*: PGHOST, PGPORT, PGUSER, PGPASSWORD), aplica
+// as migrações, sobe o app numa porta livre e apaga o banco no fim.
+//
+// O server.js pode ler a configuração ao ser carregado: passe o ambiente em
+// startApp() — um app por arquivo de teste.
+const { Client } = require('pg');
+
+const ADMIN_PASSWORD = 'senha-de-teste';
+
+function maintenanceClient() {
+  return new Client({ database: process.env.PGDATABASE_MAINTENANCE || 'postgres' });
+}
+
+async function startApp(env = {}) {
+  const database = `biazzi_test_${process.pid}_${Date.now()}`;
+  const admin = maintenanceClient();
+  await admin.connect();
+  await admin.query(`CREATE DATABASE ${database}`);
+  await admin.end();
+
+  // DATABASE_URL liga SSL (Render); o banco de teste é local, pelas variáveis PG*
+  delete process.env.DATABASE_URL;
+  Object.assign(process.env, {
+    PGDATABASE: database, APP_PASSWORD: ADMIN_PASSWORD, MANAGE_LINK_SECRET: 'teste', NOTIFY_PROVIDER: 'callmebot'
+  }, env);
+
+  // Só os erros: o log de cada reserva e envio polui a saída do test runner
+  const log = console.log;
+  console.log = () => {};
+  const { app, pool, initDB, processOutbox } = require('../server');
+  await initDB();
+  const server = await new Promise(resolve => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, body } — body é o JSON da resposta (ou o texto, se não for JSON)
+  async function api(path, { method = 'GET', body, token, headers = {} } = {}) {
+    const res = await fetch(url + path, {
+      method,
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { 'x-auth-token': token } : {}),
+        ...headers
+      },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch { /* SVG, CSV... */ }
+    return { status: res.status, body: parsed };
+  }
+
+  async function login() {
+    const { body } = await api('/api/auth/login', { method: 'POST', body: { username: 'admin', password: ADMIN_PASSWORD } });
+    return body.token;
+  }
+
+  async function close() {
+    await new Promise(resolve => server.close(resolve));
+    await pool.end();
+    console.log = log;
+    const c = maintenanceClient();
+    await c.connect();
+    await c.query(`DROP DATABASE IF EXISTS ${database} WITH (FORCE)`);
+    await c.end();
+  }
+
+  return { url, api, login, close, pool, processOutbox, query: (sql, params) => pool.query(sql, params) };
+}
+
+// Data de venda daqui a `days` dias (YYYY-MM-DD), longe do prazo de alteração
+function futureDate(days = 10) {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = { startApp, futureDate };
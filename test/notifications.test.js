@@ -0,0 +1,95 @@
+// Fila de notificações com o provedor fake: nada sai para o WhatsApp.
+// NOTIFY_FAKE_FAIL=1 faz o provedor falhar para exercitar as novas tentativas.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, futureDate } = require('./helpers');
+
+const saleDate = futureDate(14);
+let t, token;
+
+before(async () => {
+  t = await startApp({ NOTIFY_PROVIDER: 'fake', WHATSAPP_PHONE: '41999990000', NOTIFY_MAX_ATTEMPTS: '2' });
+  token = await t.login();
+  await t.api('/api/stock', { method: 'POST', token, body: { sale_date: saleDate, items: [{ product: 'chicken', qty: 10 }] } });
+});
+after(() => { delete process.env.NOTIFY_FAKE_FAIL; return t?.close(); });
+
+async function reserve(phone) {
+  const price = (await t.api(`/api/public/stock/${saleDate}`)).body.items.find(i => i.product === 'chicken').price;
+  const { body } = await t.api('/api/public/reserva', {
+    method: 'POST',
+    body: { name: 'Cliente Fila', phone, order_date: saleDate, payment: 'cash', items: [{ type: 'chicken', qty: 1 }], total: price }
+  });
+  assert.ok(body.success, JSON.stringify(body));
+  return body.orderId;
+}
+
+// A reserva já dispara o envio sem esperar; aguarda até não sobrar nada em
+// andamento nem vencido na fila (o envio disparado pode ainda não ter pegado as linhas)
+async function drainOutbox() {
+  for (let i = 0; i < 100; i++) {
+    await t.processOutbox();
+    const { rows: [{ n }] } = await t.query(`
+      SELECT COUNT(*)::int AS n FROM notifications
+      WHERE status = 'sending' OR (status = 'pending' AND next_attempt_at <= NOW())`);
+    if (!n) return;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('outbox did not settle');
+}
+
+async function notificationsOf(orderId) {
+  const { rows } = await t.query('SELECT * FROM notifications WHERE order_id = $1 ORDER BY id', [orderId]);
+  return rows;
+}
+
+test('a reservation queues owner and customer messages that the sender delivers', async () => {
+  const orderId = await reserve('41988887777');
+  await drainOutbox();
+  const queued = await notificationsOf(orderId);
+  assert.deepEqual(queued.map(n => [n.kind, n.recipient]), [
+    ['new_order', '5541999990000'],
+    ['order_confirmation', '5541988887777']
+  ]);
+  for (const n of queued) {
+    assert.equal(n.status, 'sent');
+    assert.equal(n.provider, 'fake');
+    assert.equal(n.attempts, 1);
+    assert.ok(n.sent_at);
+  }
+});
+
+test('failures retry with backoff, end as failed and can be resent', async () => {
+  process.env.NOTIFY_FAKE_FAIL = '1';
+  const orderId = await reserve('41977776666');
+  await drainOutbox();
+  let [n] = await notificationsOf(orderId);
+  assert.equal(n.status, 'pending');
+  assert.equal(n.attempts, 1);
+  assert.equal(n.last_error, 'fake provider failure');
+  assert.ok(n.next_attempt_at > new Date(), 'next attempt should be in the future');
+
+  // Antes do prazo da nova tentativa, nada acontece
+  await t.processOutbox();
+  assert.equal((await notificationsOf(orderId))[0].attempts, 1);
+
+  // Vencido o prazo: segunda falha = NOTIFY_MAX_ATTEMPTS, desiste
+  await t.query('UPDATE notifications SET next_attempt_at = NOW() WHERE order_id = $1', [orderId]);
+  await t.processOutbox();
+  [n] = await notificationsOf(orderId);
+  assert.equal(n.status, 'failed');
+  assert.equal(n.attempts, 2);
+  await t.processOutbox();
+  assert.equal((await notificationsOf(orderId))[0].attempts, 2);
+
+  // Reenvio manual depois que o provedor volta
+  delete process.env.NOTIFY_FAKE_FAIL;
+  const resent = await t.api(`/api/notifications/${n.id}/resend`, { method: 'POST', token });
+  assert.equal(resent.status, 200);
+  assert.equal(resent.body.status, 'sent');
+  assert.equal(resent.body.attempts, 1);
+  assert.equal(resent.body.last_error, null);
+  // Mensagem ainda na fila não é reenviada por cima
+  await t.query(`UPDATE notifications SET status = 'pending' WHERE id = $1`, [n.id]);
+  assert.equal((await t.api(`/api/notifications/${n.id}/resend`, { method: 'POST', token })).status, 409);
+});
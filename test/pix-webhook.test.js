@@ -0,0 +1,113 @@
+// Webhook do Pix com um PSP simulado: o corpo é assinado aqui com o mesmo
+// PIX_WEBHOOK_SECRET do app, como o PSP faria.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { startApp, futureDate } = require('./helpers');
+
+const SECRET = 'segredo-do-psp';
+const saleDate = futureDate(12);
+let t, token, price, phoneSeq = 0;
+
+before(async () => {
+  t = await startApp({ PIX_KEY: 'pix@biazzi.test', PIX_WEBHOOK_SECRET: SECRET });
+  token = await t.login();
+  await t.api('/api/stock', { method: 'POST', token, body: { sale_date: saleDate, items: [{ product: 'chicken', qty: 20 }] } });
+  price = (await t.api(`/api/public/stock/${saleDate}`)).body.items.find(i => i.product === 'chicken').price;
+});
+after(() => t?.close());
+
+// Reserva online paga por Pix: devolve { orderId, pix, manage_url }
+async function pixReservation(qty = 1) {
+  const { body } = await t.api('/api/public/reserva', {
+    method: 'POST',
+    body: {
+      name: 'Cliente Pix', phone: `4198880${String(++phoneSeq).padStart(4, '0')}`, order_date: saleDate,
+      payment: 'pix', items: [{ type: 'chicken', qty }], total: Math.round(price * qty * 100) / 100
+    }
+  });
+  assert.ok(body.pix?.txid, JSON.stringify(body));
+  return body;
+}
+
+function webhook(payload, signature) {
+  const raw = JSON.stringify(payload);
+  const sig = signature ?? crypto.createHmac('sha256', SECRET).update(raw).digest('hex');
+  return t.api('/api/public/pix/webhook', { method: 'POST', body: raw, headers: { 'x-pix-signature': sig } });
+}
+
+async function order(id) {
+  return (await t.api(`/api/orders/${id}`, { token })).body;
+}
+
+test('valid signature confirms the Pix and records the payment', async () => {
+  const { orderId, pix } = await pixReservation();
+  const res = await webhook({ txid: pix.txid, amount: pix.amount, end_to_end_id: 'E2E-OK' });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, { success: true, order_id: orderId });
+  const o = await order(orderId);
+  assert.equal(o.pix_status, 'confirmed');
+  assert.equal(o.pix_e2e_id, 'E2E-OK');
+  assert.equal(o.balance, 0);
+  assert.deepEqual(o.payments.map(p => [p.method, p.amount, p.actor]), [['pix', pix.amount, 'webhook pix']]);
+});
+
+test('bad or missing signature is rejected without touching the order', async () => {
+  const { orderId, pix } = await pixReservation();
+  const payload = { txid: pix.txid, amount: pix.amount, end_to_end_id: 'E2E-FORGED' };
+  const forged = crypto.createHmac('sha256', 'outro-segredo').update(JSON.stringify(payload)).digest('hex');
+  assert.equal((await webhook(payload, forged)).status, 401);
+  assert.equal((await webhook(payload, '')).status, 401);
+  // Assinatura de outro corpo (valor adulterado depois de assinar)
+  const signedOther = crypto.createHmac('sha256', SECRET).update(JSON.stringify({ ...payload, amount: 0.01 })).digest('hex');
+  assert.equal((await webhook(payload, signedOther)).status, 401);
+  const o = await order(orderId);
+  assert.equal(o.pix_status, 'pending');
+  assert.deepEqual(o.payments, []);
+});
+
+test('replayed or duplicate notifications do not pay twice', async () => {
+  const { orderId, pix } = await pixReservation();
+  const payload = { txid: pix.txid, amount: pix.amount, end_to_end_id: 'E2E-REPLAY' };
+  assert.equal((await webhook(payload)).status, 200);
+  const again = await webhook(payload);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.already_confirmed, true);
+  // Mesmo txid com outro end_to_end_id depois de confirmado: também ignorado
+  assert.equal((await webhook({ ...payload, end_to_end_id: 'E2E-OTHER' })).body.already_confirmed, true);
+  const o = await order(orderId);
+  assert.equal(o.payments.length, 1);
+  assert.equal(o.balance, 0);
+});
+
+test('partial Pix and the rest after a cash deposit settle only at zero balance', async () => {
+  const { orderId, pix, manage_url } = await pixReservation(2);
+  const total = pix.amount;
+  // Sinal em dinheiro no balcão: o QR passa a cobrar só o restante
+  await t.api(`/api/orders/${orderId}/payments`, { method: 'POST', token, body: { method: 'cash', amount: 20 } });
+  const rest = Math.round((total - 20) * 100) / 100;
+  assert.equal((await t.api(`/api/public${manage_url}`)).body.pix.amount, rest);
+
+  // Acima do saldo: recusado
+  const over = await webhook({ txid: pix.txid, amount: total, end_to_end_id: 'E2E-OVER' });
+  assert.equal(over.status, 422);
+  assert.equal(over.body.balance, rest);
+
+  // Parcial: lança, mas o Pix continua aguardando o restante
+  assert.equal((await webhook({ txid: pix.txid, amount: 10, end_to_end_id: 'E2E-PART' })).status, 200);
+  const dup = await webhook({ txid: pix.txid, amount: 10, end_to_end_id: 'E2E-PART' });
+  assert.equal(dup.body.already_recorded, true);
+  let o = await order(orderId);
+  assert.equal(o.pix_status, 'pending');
+  assert.equal(o.balance, Math.round((rest - 10) * 100) / 100);
+
+  assert.equal((await webhook({ txid: pix.txid, amount: o.balance, end_to_end_id: 'E2E-REST' })).status, 200);
+  o = await order(orderId);
+  assert.equal(o.pix_status, 'confirmed');
+  assert.equal(o.balance, 0);
+  assert.deepEqual(o.payments.map(p => p.method), ['cash', 'pix', 'pix']);
+});
+
+test('unknown txid is 404', async () => {
+  assert.equal((await webhook({ txid: 'NAOEXISTE', amount: 10 })).status, 404);
+});
@@ -0,0 +1,45 @@
+// Reservas simultâneas disputando as últimas unidades: a trava FOR UPDATE da linha
+// de estoque deixa passar exatamente o que havia, e o saldo não fica negativo.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, futureDate } = require('./helpers');
+
+let t, token;
+const saleDate = futureDate(10);
+
+before(async () => {
+  t = await startApp();
+  token = await t.login();
+});
+after(() => t?.close());
+
+test('parallel public reservations never oversell the last units', async () => {
+  const available = 3, attempts = 10;
+  const stock = await t.api('/api/stock', {
+    method: 'POST', token, body: { sale_date: saleDate, items: [{ product: 'chicken', qty: available }] }
+  });
+  assert.equal(stock.status, 200, JSON.stringify(stock.body));
+  const { body: { items } } = await t.api(`/api/public/stock/${saleDate}`);
+  const price = items.find(i => i.product === 'chicken').price;
+
+  const results = await Promise.all(Array.from({ length: attempts }, (_, i) =>
+    t.api('/api/public/reserva', {
+      method: 'POST',
+      body: {
+        name: `Cliente ${i}`, phone: `4199990${String(i).padStart(4, '0')}`, order_date: saleDate,
+        payment: 'cash', items: [{ type: 'chicken', qty: 1 }], total: price
+      }
+    })));
+
+  const ok = results.filter(r => r.body.success);
+  const refused = results.filter(r => r.status === 409);
+  assert.equal(ok.length, available, JSON.stringify(results.map(r => [r.status, r.body.error])));
+  assert.equal(refused.length, attempts - available);
+
+  const { rows: [si] } = await t.query(
+    'SELECT qty FROM stock_items WHERE sale_date = $1 AND product = $2', [saleDate, 'chicken']);
+  assert.equal(parseFloat(si.qty), 0);
+  const { rows: [{ n }] } = await t.query(
+    `SELECT COUNT(*)::int AS n FROM orders WHERE order_date = $1 AND status = 'pending'`, [saleDate]);
+  assert.equal(n, available);
+});